@@ -1,85 +1,57 @@
 #!/usr/bin/env node
-import { makeWASocket, useMultiFileAuthState, DisconnectReason } from 'atexovi-baileys';
-import pino from 'pino';
-import fs from 'fs';
-import path from 'path';
+import { makeWASocket, useMultiFileAuthState, DisconnectReason, downloadMediaMessage } from 'atexovi-baileys';
 import chalk from 'chalk';
 import figlet from 'figlet';
 import dotenv from 'dotenv';
 import { handler } from './src/handler.js';
+import { getStateStore } from './src/userState.js';
+import { closeExpiredHandoffs } from './src/handoff.js';
+import { releaseDueLeads } from './src/leadQueue.js';
+import { sendDueReminders } from './src/bookings.js';
+import { loadSchedule, scheduleFile } from './src/hours.js';
+import { createMessageQueue, isLiveUpsert } from './src/queue.js';
+import { limitSends } from './src/rateLimit.js';
+import { loadCatalog, watchCatalog, catalogFile } from './src/catalog.js';
+import { runSimulator } from './src/simulate.js';
+import { runReport } from './src/report.js';
+import { getLogger, pinoLogger } from './src/logger.js';
+import { increment, setConnectionState, messageReceived, countSends } from './src/metrics.js';
+import { startMonitor } from './src/monitor.js';
+import { createConnectionManager } from './src/connection.js';
+import { createQrLogin } from './src/qr.js';
+import { isGroupJid, handleGroupParticipants } from './src/groups.js';
+import { setMediaDownloader } from './src/inbox.js';
+import { getConfig } from './src/config.js';
+import {
+  parseCli, usage, applySettings, requireNumber, isPaired, readSession, removeSession,
+  runResetSession, runStatus, runValidateConfig
+} from './src/cli.js';
 
 dotenv.config({ debug: false });
 
-const originalError = console.error;
-const originalLog = console.log;
-const originalStdoutWrite = process.stdout.write;
-
-const FILTER_PATTERNS = [
-  'Bad MAC',
-  'Failed to decrypt message with any known session',
-  'Session error:',
-  'Failed to decrypt',
-  'Closing open session',
-  'Closing session:',
-  'SessionEntry',
-  '_chains:',
-  'registrationId:',
-  'currentRatchet:',
-  'indexInfo:',
-  '<Buffer',
-  'pubKey:',
-  'privKey:',
-  'baseKey:',
-  'remoteIdentityKey:',
-  'lastRemoteEphemeralKey:',
-  'ephemeralKeyPair:',
-  'chainKey:',
-  'chainType:',
-  'messageKeys:'
-];
-
-process.stdout.write = function(chunk, encoding, callback) {
-  const str = chunk?.toString() || '';
-  
-  const shouldFilter = FILTER_PATTERNS.some(pattern => str.includes(pattern));
-  
-  if (shouldFilter) {
-    if (str.includes('Closing open session')) {
-      const cleanMsg = chalk.blue('🔒 Signal: Encryption session updated\n');
-      return originalStdoutWrite.call(this, Buffer.from(cleanMsg), encoding, callback);
-    }
-    
-    if (typeof callback === 'function') callback();
-    return true;
-  }
-  
-  return originalStdoutWrite.call(this, chunk, encoding, callback);
-};
-
-console.error = function(...args) {
-  const msg = args.join(' ');
-  
-  if (FILTER_PATTERNS.some(pattern => msg.includes(pattern))) {
-    if (msg.includes('Bad MAC')) {
-      console.log(chalk.yellow('🔄 Signal Protocol: Securing connection...'));
-    }
-    return;
-  }
-  
-  originalError.apply(console, args);
-};
-
-console.log = function(...args) {
-  const msg = args.join(' ');
-  
-  if (FILTER_PATTERNS.some(pattern => msg.includes(pattern))) {
-    return;
+const log = getLogger('connection');
+const handlerLog = getLogger('handler');
+
+// How long shutdown waits for queued messages to be answered
+const SHUTDOWN_DRAIN_MS = 10 * 1000;
+
+// Socket of the latest connection (sends rate limited), for the message queue and background jobs
+let activeSock = null;
+
+// One contact's messages are handled in order; replies go out on the current socket
+const messageQueue = createMessageQueue(msg => handler(activeSock, msg), {
+  onError: (error, msg) => {
+    increment('handler_errors_total');
+    handlerLog.error({ err: error, jid: msg.key.remoteJid, id: msg.key.id }, '❌ Handler error');
   }
-  
-  originalLog.apply(console, args);
-};
+});
 
-const authDir = path.join(process.cwd(), 'session');
+// Customer media is downloaded through the socket it arrived on, which also asks the
+// sender's phone to re-upload files that expired on the server
+setMediaDownloader((msg, sock) => downloadMediaMessage(msg, 'buffer', {}, {
+  logger: pinoLogger('baileys'),
+  reuploadRequest: sock.updateMediaMessage
+}));
 
 function centerText(text) {
   const lines = text.split('\n');
@@ -119,134 +91,299 @@ function showPairingCode(waNumber, code) {
   console.log(chalk.green('\n⏳ Waiting for connection...'));
 }
 
-async function startBot() {
-  showBanner();
-  
-  // Get WhatsApp number from command line arguments
-  const args = process.argv.slice(2);
-  let waNumber = args[0];
-  
-  // Validate the phone number format
-  if (!waNumber) {
-    console.log(chalk.red('❌ Error: WhatsApp number is required!'));
-    console.log(chalk.yellow('💡 Usage: npm start <whatsapp-number>'));
-    console.log(chalk.cyan('Example: npm start 94741984208\n'));
-    process.exit(1);
-  }
-  
-  // Remove any non-digit characters
-  waNumber = waNumber.replace(/\D/g, '');
-  
-  // Validate number format (at least 10 digits)
-  if (waNumber.length < 10) {
-    console.log(chalk.red('❌ Error: Invalid WhatsApp number!'));
-    console.log(chalk.yellow('Please provide a valid number (e.g., 94741984208)\n'));
-    process.exit(1);
-  }
-  
-  console.log(chalk.cyan(`📱 Using WhatsApp Number: ${chalk.bold(waNumber)}\n`));
-  
-  const { state, saveCreds } = await useMultiFileAuthState(authDir);
+// Shows each QR code Baileys sends until the session is linked
+function showQrCodes(sock, listen) {
+  const qrLogin = createQrLogin();
+  listen(sock, 'connection.update', update => {
+    if (update.qr) {
+      qrLogin.show(update.qr).catch(error => log.error({ err: error }, '❌ Could not show the QR code'));
+    } else if (update.connection === 'open' || update.connection === 'close') {
+      qrLogin.stop();
+    }
+  });
+}
+
+// A new socket on the stored session; links it first when needed, with a pairing
+// code by default or a QR code in qr mode
+async function createSocket(waNumber, listen) {
+  const { state, saveCreds } = await useMultiFileAuthState(getConfig().whatsapp.sessionDir);
   const sock = makeWASocket({
     auth: state,
-    logger: pino({ level: 'silent' }),
+    logger: pinoLogger('baileys'),
     printQRInTerminal: false,
   });
+  listen(sock, 'creds.update', saveCreds);
 
-  // Check if session exists
-  const sessionFiles = fs.existsSync(authDir) ? 
-    fs.readdirSync(authDir).filter(f => f.endsWith('.json')) : 
-    [];
-
-  // If no session exists, request pairing code
-  if (sessionFiles.length === 0) {
-    try {
-      console.log(chalk.yellow('⏳ Generating pairing code...\n'));
-      
-      const code = await sock.requestPairingCode(waNumber);
-      
-      if (!code) {
-        console.log(chalk.red('❌ Failed to generate pairing code!'));
-        console.log(chalk.yellow('Please check your number and try again.\n'));
-        process.exit(1);
-      }
-      
-      showPairingCode(waNumber, code);
-      
-    } catch (error) {
-      console.error(chalk.red('❌ Error generating pairing code:'), error.message);
-      
-      if (error.message.includes('not registered')) {
-        console.log(chalk.yellow('\n⚠️ This number may not be registered on WhatsApp.'));
-        console.log(chalk.yellow('Please check the number and try again.'));
-      } else if (error.message.includes('rate limit')) {
-        console.log(chalk.yellow('\n⚠️ Rate limit exceeded. Please wait a few minutes.'));
-      } else if (error.message.includes('timeout')) {
-        console.log(chalk.yellow('\n⚠️ Connection timeout. Please check your internet.'));
-      }
-      
-      console.log(chalk.yellow('\n🔄 Restarting in 5 seconds...'));
-      setTimeout(() => {
-        console.clear();
-        startBot();
-      }, 5000);
-      return;
-    }
-  } else {
+  if (isPaired(state.creds)) {
     console.log(chalk.green('✅ Existing session found. Connecting...\n'));
+    return sock;
+  }
+
+  if (getConfig().whatsapp.login === 'qr') {
+    setConnectionState('pairing');
+    console.log(chalk.yellow('⏳ Waiting for a QR code...\n'));
+    showQrCodes(sock, listen);
+    return sock;
+  }
+
+  try {
+    setConnectionState('pairing');
+    console.log(chalk.yellow('⏳ Generating pairing code...\n'));
+    
+    const code = await sock.requestPairingCode(waNumber);
+    if (!code) throw new Error('No pairing code was returned');
+    
+    showPairingCode(waNumber, code);
+    return sock;
+  } catch (error) {
+    if (error.message.includes('not registered')) {
+      console.log(chalk.yellow('\n⚠️ This number may not be registered on WhatsApp.'));
+      console.log(chalk.yellow('Please check the number and try again.'));
+    } else if (error.message.includes('rate limit')) {
+      console.log(chalk.yellow('\n⚠️ Rate limit exceeded. Please wait a few minutes.'));
+    } else if (error.message.includes('timeout')) {
+      console.log(chalk.yellow('\n⚠️ Connection timeout. Please check your internet.'));
+    }
+    sock.end?.(undefined);
+    throw error;
   }
+}
+
+function onConnected(sock) {
+  activeSock = countSends(limitSends(sock));
+  console.log(chalk.greenBright('\n✅ Successfully Connected to WhatsApp!'));
+  console.log(chalk.gray('──────────────────────────────────────\n'));
+  console.log(chalk.cyan(`👤 User ID: ${sock.user?.id || 'Unknown'}`));
+  console.log(chalk.cyan(`📛 Name: ${sock.user?.name || 'Not available'}`));
+  console.log(chalk.yellow('\n🤖 Bot is now ready to receive messages...\n'));
+  log.info({ jid: sock.user?.id }, '✅ Connected to WhatsApp');
+}
+
+function listen(sock, on) {
+  on('messages.upsert', upsert => {
+    // History sync and offline backlog arrive as 'append'; only live messages are answered
+    if (!isLiveUpsert(upsert)) return;
+
+    for (const msg of upsert.messages || []) {
+      if (!msg.key?.remoteJid) continue;
+
+      // Most group chatter isn't for the bot, so it is only logged at debug
+      const level = isGroupJid(msg.key.remoteJid) ? 'debug' : 'info';
+      handlerLog[level]({ jid: msg.key.remoteJid, id: msg.key.id }, '💬 Incoming message');
+      messageReceived();
+      messageQueue.push(msg);
+    }
+  });
+
+  on('group-participants.update', update => {
+    if (!activeSock) return;
+    handleGroupParticipants(activeSock, update).catch(error => {
+      getLogger('groups').error({ err: error }, '❌ Group welcome failed');
+    });
+  });
+}
+
+let connection = null;
+let monitorServer = null;
 
-  sock.ev.on('connection.update', async (update) => {
-    const { connection, lastDisconnect } = update;
-
-    if (connection === 'open') {
-      console.clear();
-      showBanner();
-      console.log(chalk.greenBright('✅ Successfully Connected to WhatsApp!'));
-      console.log(chalk.gray('──────────────────────────────────────\n'));
-      console.log(chalk.cyan(`👤 User ID: ${sock.user?.id || 'Unknown'}`));
-      console.log(chalk.cyan(`📛 Name: ${sock.user?.name || 'Not available'}`));
-      console.log(chalk.yellow('\n🤖 Bot is now ready to receive messages...\n'));
-    } else if (connection === 'close') {
-      const reason = lastDisconnect?.error?.output?.statusCode;
-      const shouldReconnect = reason !== DisconnectReason.loggedOut;
-      if (shouldReconnect) {
-        console.log(chalk.yellow('🔁 Connection lost. Reconnecting in 3 seconds...'));
-        setTimeout(() => {
-          console.clear();
-          startBot();
-        }, 3000);
-      } else {
-        console.log(chalk.red('❌ Invalid session. Please delete the session folder and try again.'));
-        console.log(chalk.yellow('💡 Run: rm -rf session/\n'));
-        process.exit(0);
+// `onOpen` replaces the default of answering messages (used by pair and logout)
+function startBot({ onOpen } = {}) {
+  showBanner();
+  const { login, number } = getConfig().whatsapp;
+  // A QR code can be scanned by any number, so qr mode doesn't need one
+  const waNumber = login === 'qr' && !number ? null : requireNumber();
+  if (waNumber) console.log(chalk.cyan(`📱 Using WhatsApp Number: ${chalk.bold(waNumber)}\n`));
+
+  connection = createConnectionManager({
+    createSocket: listen => createSocket(waNumber, listen),
+    setup: onOpen ? undefined : listen,
+    onOpen: onOpen || onConnected,
+    reasons: DisconnectReason,
+    onFatal: reason => {
+      activeSock = null;
+      if (reason === 'loggedOut' || reason === 'badSession') {
+        console.log(chalk.yellow('💡 Run: node index.js reset-session, then pair again\n'));
       }
+      shutdown(1);
     }
   });
+  connection.start();
+}
 
-  sock.ev.on('creds.update', saveCreds);
-  
-  sock.ev.on('messages.upsert', m => {
-    const msg = m.messages?.[0];
-    if (!msg) return;
-    
-    // Group messages ignore කරන්න
-    if (msg.key.remoteJid.endsWith('@g.us')) return;
+function pairBot() {
+  const session = readSession();
+  if (session?.registered) {
+    console.log(chalk.green(`✅ Already paired as ${session.id}. Use reset-session to pair again.`));
+    process.exit(0);
+  }
+  startBot({
+    onOpen: sock => {
+      console.log(chalk.greenBright(`\n✅ Paired as ${sock.user?.id || 'Unknown'}. Start the bot with: node index.js start\n`));
+      shutdown(0);
+    }
+  });
+}
 
-    console.log(chalk.blueBright('💬 Incoming message from:'), msg.key.remoteJid);
-    
-    try { 
-      handler(sock, msg); 
-    } catch (err) {
-      console.error(chalk.red('[Handler Error]'), err);
+// Exits non-zero when the session folder can't be deleted (see removeSession)
+function deleteSessionOrExit() {
+  try {
+    removeSession();
+  } catch (error) {
+    log.error({ err: error }, '❌ Could not delete the session');
+    process.exit(1);
+  }
+}
+
+function logoutBot() {
+  if (!readSession()?.registered) {
+    deleteSessionOrExit();
+    console.log(chalk.gray('Not paired, nothing to log out.'));
+    process.exit(0);
+  }
+  startBot({
+    onOpen: async sock => {
+      try {
+        await sock.logout();
+      } catch (error) {
+        log.warn({ err: error }, '⚠️ WhatsApp did not confirm the logout');
+      }
+      connection.stop();
+      deleteSessionOrExit();
+      console.log(chalk.green('👋 Logged out and session deleted.'));
+      process.exit(0);
     }
   });
 }
 
+let shuttingDown = false;
+
+// Stops reconnecting, lets queued messages finish, saves state and exits
+async function shutdown(code = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.info('👋 Bot is shutting down...');
+
+  try {
+    // Replies still need the socket, so it closes after the queue
+    await Promise.race([
+      messageQueue.drain(),
+      new Promise(resolve => setTimeout(resolve, SHUTDOWN_DRAIN_MS).unref())
+    ]);
+    connection?.stop();
+    activeSock = null;
+    await getStateStore().flush();
+  } catch (error) {
+    getLogger('store').error({ err: error }, '❌ Could not save conversation state');
+    code = code || 1;
+  }
+  monitorServer?.close();
+  process.exit(code);
+}
+
 // Handle process termination
-process.on('SIGINT', () => {
-  console.log(chalk.yellow('\n\n👋 Bot is shutting down...'));
-  process.exit(0);
-});
+process.on('SIGINT', () => shutdown(0));
+process.on('SIGTERM', () => shutdown(0));
+
+// Close agent handoffs that went quiet
+setInterval(() => {
+  if (!activeSock) return;
+  closeExpiredHandoffs(activeSock).catch(error => {
+    getLogger('handoff').error({ err: error }, '❌ Handoff sweep failed');
+  });
+}, 60 * 1000).unref();
+
+// Remind staff of leads that came in while closed, once their company opens
+setInterval(() => {
+  if (!activeSock) return;
+  releaseDueLeads(activeSock).catch(error => {
+    getLogger('leads').error({ err: error }, '❌ Lead queue sweep failed');
+  });
+}, 60 * 1000).unref();
+
+// Remind customers of their consultations
+setInterval(() => {
+  if (!activeSock) return;
+  sendDueReminders(activeSock).catch(error => {
+    getLogger('bookings').error({ err: error }, '❌ Booking reminder sweep failed');
+  });
+}, 60 * 1000).unref();
+
+// Load the service catalog up front and pick up edits while running
+function loadData() {
+  try {
+    loadCatalog();
+    watchCatalog();
+    console.log(chalk.gray(`📚 Service catalog: ${catalogFile()}`));
+  } catch (error) {
+    console.error(chalk.red('❌ Could not load the service catalog:'), error.message);
+    process.exit(1);
+  }
 
-startBot();
+  try {
+    loadSchedule();
+    console.log(chalk.gray(`🕘 Business hours: ${scheduleFile()}`));
+  } catch (error) {
+    console.error(chalk.red('❌ Could not load the business hours:'), error.message);
+    process.exit(1);
+  }
+}
+
+// `node index.js <command> [flags]`; see `node index.js help`
+let cli;
+let configFile;
+try {
+  cli = parseCli(process.argv.slice(2));
+  configFile = applySettings(cli.flags);
+} catch (error) {
+  console.error(chalk.red(`❌ ${error.message}\n`));
+  console.log(usage());
+  process.exit(1);
+}
+
+const exitWith = promise => promise
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(chalk.red(`❌ ${cli.command} failed:`), error.message);
+    process.exit(1);
+  });
+
+switch (cli.command) {
+  case 'help':
+    console.log(usage());
+    break;
+  case 'report':
+    loadData();
+    exitWith(Promise.resolve().then(() => {
+      runReport([...(cli.flags.days ? ['--days', cli.flags.days] : []), ...(cli.flags.csv ? ['--csv', cli.flags.csv] : [])]);
+      return 0;
+    }));
+    break;
+  case 'simulate':
+    loadData();
+    showBanner();
+    exitWith(runSimulator({ number: cli.args[0], device: cli.args[1] }).then(() => 0));
+    break;
+  case 'status':
+    exitWith(runStatus(configFile.file));
+    break;
+  case 'validate-config':
+    exitWith(Promise.resolve().then(() => runValidateConfig(configFile.settings)));
+    break;
+  case 'reset-session':
+    exitWith(runResetSession({ yes: cli.flags.yes }));
+    break;
+  case 'pair':
+    pairBot();
+    break;
+  case 'logout':
+    logoutBot();
+    break;
+  default:
+    loadData();
+    startMonitor()
+      .then(server => { monitorServer = server; })
+      .catch(error => {
+        log.error({ err: error }, '❌ Could not start the monitor server');
+      });
+    startBot();
+}
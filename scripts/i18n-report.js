@@ -0,0 +1,30 @@
+#!/usr/bin/env node
+// Lists translations missing per locale: message-table keys, catalog texts whose
+// translation object lacks the locale, and (with --verbose) English-only catalog texts.
+import chalk from 'chalk';
+import { loadCatalog, catalogTexts } from '../src/catalog.js';
+import { missingTranslations } from '../src/i18n.js';
+
+const verbose = process.argv.includes('--verbose');
+const report = missingTranslations(catalogTexts(loadCatalog()));
+let missing = 0;
+
+for (const [lang, { messages, catalog, englishOnly }] of Object.entries(report)) {
+  console.log(chalk.cyanBright(`\n🌐 ${lang}`));
+
+  if (messages.length === 0 && catalog.length === 0) {
+    console.log(chalk.green('   ✅ All messages and translated catalog texts are complete'));
+  }
+  for (const key of messages) console.log(chalk.yellow(`   ✗ message  ${key}`));
+  for (const where of catalog) console.log(chalk.yellow(`   ✗ catalog  ${where}`));
+
+  console.log(chalk.gray(`   ℹ️ ${englishOnly.length} catalog texts are English only`));
+  if (verbose) {
+    for (const where of englishOnly) console.log(chalk.gray(`     - ${where}`));
+  }
+
+  missing += messages.length + catalog.length;
+}
+
+console.log(missing ? chalk.yellow(`\n${missing} missing translations\n`) : chalk.green('\nNo missing translations\n'));
+process.exitCode = missing ? 1 : 0;
@@ -0,0 +1,314 @@
+import { getConfig } from './config.js';
+import { appendJsonLine } from './jsonl.js';
+import { reloadCatalog, getCatalog } from './catalog.js';
+import { getStateStore } from './userState.js';
+import { readLeads } from './leads.js';
+import { listHandoffs, isAgent } from './handoff.js';
+import { isPaused, setPaused, blockContact, unblockContact, isBlocked, listBlocked } from './controls.js';
+import { toJid, phoneOf } from './jid.js';
+import { reloadLocales, isLanguage } from './i18n.js';
+import { reloadSchedule, formatOpening } from './hours.js';
+import { isGroupJid, getGroupSettings, updateGroupSettings, listGroups, GROUP_COMMANDS } from './groups.js';
+import { readInbox } from './inbox.js';
+import { listBookings } from './bookings.js';
+import { formatPrice } from './estimates.js';
+import { getLogger } from './logger.js';
+
+// Owner-only "!" commands, handled before the customer flow.
+// Every command run is appended to the audit log as one JSON line.
+// Inside groups only commands marked `inGroups` run, so nothing private is posted there.
+
+const log = getLogger('admin');
+
+const BROADCAST_DELAY_MS = 1000;
+
+export function isOwner(jid) {
+  return getConfig().admin.owners.some(owner => toJid(owner) === jid);
+}
+
+function audit(entry) {
+  const file = getConfig().admin.auditFile;
+  try {
+    appendJsonLine(file, { at: new Date().toISOString(), ...entry });
+  } catch (error) {
+    log.error({ err: error }, `❌ Could not write audit log`);
+  }
+}
+
+function requireJid(args) {
+  const jid = toJid(args.split(/\s+/)[0]);
+  if (!jid) throw new Error('Please give a number or JID, e.g. 94771234567');
+  return jid;
+}
+
+function formatGroup(settings) {
+  const welcome = settings.welcome === true ? 'default' : settings.welcome || 'off';
+  return `👥 ${settings.jid}\n` +
+         `   Commands: ${settings.commands ? settings.commands.join(', ') : 'all'}\n` +
+         `   Welcome: ${welcome}\n` +
+         `   Language: ${settings.lang}`;
+}
+
+// "!group on" inside a group, "!group <jid> on" anywhere else
+async function runGroupCommand({ args, group }) {
+  const words = args.split(/\s+/).filter(Boolean);
+  const target = group || (isGroupJid(words[0]) ? words.shift() : null);
+  if (!target) throw new Error('Send this in the group, or give the group JID, e.g. !group 1203630@g.us on');
+
+  const [setting = '', ...rest] = words;
+  const value = rest.join(' ');
+  const where = group ? 'this group' : target;
+  switch (setting.toLowerCase()) {
+    case '':
+      return formatGroup(await getGroupSettings(target));
+    case 'on':
+      await updateGroupSettings(target, { enabled: true });
+      return `✅ Bot enabled in ${where}. Members can mention it or use the command prefix.`;
+    case 'off':
+      await updateGroupSettings(target, { enabled: false });
+      return `🔇 Bot disabled in ${where}.`;
+    case 'welcome': {
+      const welcome = /^off$/i.test(value) ? false : /^(on|)$/i.test(value) ? true : value;
+      return formatGroup(await updateGroupSettings(target, { welcome }));
+    }
+    case 'commands': {
+      const names = value.toLowerCase().split(/[\s,]+/).filter(Boolean);
+      const unknown = names.filter(name => name !== 'all' && !GROUP_COMMANDS.includes(name));
+      if (names.length === 0 || unknown.length > 0) {
+        throw new Error(`Usage: !group commands all | ${GROUP_COMMANDS.join(',')}`);
+      }
+      return formatGroup(await updateGroupSettings(target, { commands: names.includes('all') ? null : names }));
+    }
+    case 'lang':
+      if (!isLanguage(value)) throw new Error(`Unknown language "${value}"`);
+      return formatGroup(await updateGroupSettings(target, { lang: value }));
+    default:
+      throw new Error('Usage: !group [jid] on | off | welcome on|off|<text> | commands <list> | lang <code>');
+  }
+}
+
+// Inbox items sent with the quote form or after it (see inbox.js)
+function attachmentCount(lead) {
+  return (lead.attachments?.length || 0) + readInbox(lead.jid).filter(item => item.lead === lead.reference).length;
+}
+
+function formatUptime(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return `${hours}h ${minutes}m`;
+}
+
+const commands = {
+  help: {
+    usage: '!help',
+    description: 'Show this list',
+    run: async () => {
+      const lines = Object.values(commands).map(c => `*${c.usage}*\n   ${c.description}`);
+      return `🛠️ *Admin commands*\n\n${lines.join('\n')}`;
+    }
+  },
+
+  stats: {
+    usage: '!stats',
+    description: 'Conversations, leads, handoffs and bot status',
+    run: async () => {
+      const conversations = await getStateStore().entries();
+      const steps = {};
+      for (const [, state] of conversations) {
+        const flow = (state.step || 'start').split('.')[0];
+        steps[flow] = (steps[flow] || 0) + 1;
+      }
+
+      const leads = readLeads();
+      const today = new Date().toISOString().slice(0, 10);
+      const leadsToday = leads.filter(lead => lead.submittedAt?.startsWith(today)).length;
+
+      return `📊 *Bot stats*\n\n` +
+             `⏱️ Uptime: ${formatUptime(process.uptime())}\n` +
+             `${(await isPaused()) ? '⏸️ Paused' : '▶️ Running'}\n\n` +
+             `💬 Conversations: ${conversations.length}\n` +
+             Object.entries(steps).map(([flow, count]) => `   - ${flow}: ${count}`).join('\n') +
+             `\n📝 Leads: ${leads.length} (${leadsToday} today)\n` +
+             `🙋 Open handoffs: ${(await listHandoffs()).length}\n` +
+             `🚫 Blocked contacts: ${(await listBlocked()).length}\n` +
+             `📚 Services: ${Object.keys(getCatalog().services).length}`;
+    }
+  },
+
+  pause: {
+    usage: '!pause',
+    description: 'Stop automatic replies to customers',
+    run: async () => {
+      await setPaused(true);
+      return `⏸️ Automatic replies paused. Send *!resume* to turn them back on.`;
+    }
+  },
+
+  resume: {
+    usage: '!resume',
+    description: 'Turn automatic replies back on',
+    run: async () => {
+      await setPaused(false);
+      return `▶️ Automatic replies resumed.`;
+    }
+  },
+
+  reload: {
+    usage: '!reload',
+    description: 'Reload the service catalog and translations from disk',
+    run: async () => {
+      const result = reloadCatalog();
+      if (!result.ok) throw new Error(`Catalog not reloaded, still serving the previous version.\n${result.error.message}`);
+      const locales = reloadLocales();
+      const schedule = reloadSchedule();
+      return `📚 Catalog reloaded: ${Object.keys(getCatalog().services).length} services.` +
+             (locales.ok ? '' : `\n⚠️ Translations not reloaded: ${locales.error.message}`) +
+             (schedule.ok ? '' : `\n⚠️ Business hours not reloaded: ${schedule.error.message}`);
+    }
+  },
+
+  reset: {
+    usage: '!reset <number>',
+    description: 'Restart a contact\'s conversation at the welcome menu',
+    run: async ({ args }) => {
+      const jid = requireJid(args);
+      const existed = await getStateStore().delete(jid);
+      return existed
+        ? `🔄 Conversation with ${phoneOf(jid)} reset.`
+        : `ℹ️ No conversation stored for ${phoneOf(jid)}.`;
+    }
+  },
+
+  block: {
+    usage: '!block <number> [reason]',
+    description: 'Ignore all messages from a contact',
+    run: async ({ args, from }) => {
+      const jid = requireJid(args);
+      if (isOwner(jid)) throw new Error('Owners cannot be blocked.');
+      const reason = args.split(/\s+/).slice(1).join(' ') || null;
+      await blockContact(jid, { reason, by: from });
+      return `🚫 ${phoneOf(jid)} blocked.`;
+    }
+  },
+
+  unblock: {
+    usage: '!unblock <number>',
+    description: 'Remove a contact from the blocklist',
+    run: async ({ args }) => {
+      const jid = requireJid(args);
+      return (await unblockContact(jid))
+        ? `✅ ${phoneOf(jid)} unblocked.`
+        : `ℹ️ ${phoneOf(jid)} was not blocked.`;
+    }
+  },
+
+  leads: {
+    usage: '!leads [count]',
+    description: 'Show the latest quote requests (default 5)',
+    run: async ({ args }) => {
+      const count = Math.min(parseInt(args) || 5, 20);
+      const leads = readLeads().slice(-count).reverse();
+      if (leads.length === 0) return `📭 No leads yet.`;
+
+      const lines = leads.map(lead => {
+        const files = attachmentCount(lead);
+        return `🔖 *${lead.reference}* – ${lead.service}\n` +
+          `   ${lead.name} (${lead.company}), ${phoneOf(lead.jid)}\n` +
+          `   ${lead.budget}, ${lead.timeline}\n` +
+          `   ${lead.submittedAt.slice(0, 16).replace('T', ' ')}` +
+          (files > 0 ? `, 📎 ${files} attachment(s)` : '') +
+          (lead.estimate ? `\n   🧮 Estimate ${lead.estimate.reference}: ${formatPrice(lead.estimate.price)}` : '') +
+          (lead.followUpAt ? `\n   🌙 Came in while closed, follow up from ${lead.followUpAt.slice(0, 16).replace('T', ' ')}` : '');
+      });
+      return `📝 *Latest leads*\n\n${lines.join('\n\n')}`;
+    }
+  },
+
+  bookings: {
+    usage: '!bookings',
+    description: 'Show upcoming consultation bookings',
+    run: async () => {
+      const upcoming = (await listBookings()).filter(booking => booking.status === 'booked' && Date.parse(booking.start) > Date.now());
+      if (upcoming.length === 0) return `📭 No upcoming bookings.`;
+
+      const lines = upcoming.map(booking =>
+        `📅 ${formatOpening(new Date(booking.start), 'en')}\n` +
+        `   🔖 *${booking.reference}* – ${booking.service}, ${phoneOf(booking.jid)}`
+      );
+      return `📅 *Upcoming bookings (${upcoming.length})*\n\n${lines.join('\n\n')}`;
+    }
+  },
+
+  group: {
+    usage: '!group [jid] on|off|welcome|commands|lang',
+    description: 'Allow the bot in a group and change its settings there',
+    inGroups: true,
+    run: runGroupCommand
+  },
+
+  groups: {
+    usage: '!groups',
+    description: 'List the groups the bot answers in',
+    run: async () => {
+      const groups = await listGroups();
+      if (groups.length === 0) return `📭 The bot is not enabled in any group. Send *!group on* in a group to enable it.`;
+      return `👥 *Groups (${groups.length})*\n\n${groups.map(formatGroup).join('\n\n')}`;
+    }
+  },
+
+  broadcast: {
+    usage: '!broadcast <message>',
+    description: 'Send a message to every stored conversation',
+    run: async ({ sock, args }) => {
+      if (!args) throw new Error('Usage: !broadcast <message>');
+
+      const recipients = [];
+      for (const [jid] of await getStateStore().entries()) {
+        if (!(await isBlocked(jid))) recipients.push(jid);
+      }
+
+      let sent = 0;
+      for (const jid of recipients) {
+        try {
+          await sock.sendMessage(jid, { text: `📢 ${args}` });
+          sent++;
+        } catch (error) {
+          log.error({ err: error, jid }, '❌ Broadcast failed');
+        }
+        // Spread sends out to keep the account clear of spam detection
+        await new Promise(resolve => setTimeout(resolve, BROADCAST_DELAY_MS));
+      }
+      return `📢 Broadcast sent to ${sent} of ${recipients.length} contacts.`;
+    }
+  }
+};
+
+// Returns true when the message was an admin command and has been handled.
+// In groups `from` is the group and `sender` the member who wrote.
+export async function handleAdminCommand(sock, from, text, sender = from) {
+  if (!text.startsWith('!') || !isOwner(sender)) return false;
+
+  const [name = ''] = text.slice(1).split(/\s+/);
+  const args = text.slice(1 + name.length).trim();
+  const group = isGroupJid(from) ? from : null;
+  const command = commands[name.toLowerCase()];
+
+  if (group && !command?.inGroups) return false;
+  if (!command) {
+    // The agent's !queue / !close share the prefix
+    if (isAgent(from)) return false;
+    await sock.sendMessage(from, { text: `❓ Unknown command *!${name}*. Send *!help* for the list.` });
+    return true;
+  }
+
+  log.info({ jid: sender }, `🛠️ Admin command: !${name}`);
+  try {
+    const reply = await command.run({ sock, from, args, group });
+    audit({ admin: sender, ...(group && { group }), command: name.toLowerCase(), args, ok: true });
+    await sock.sendMessage(from, { text: reply });
+  } catch (error) {
+    audit({ admin: sender, ...(group && { group }), command: name.toLowerCase(), args, ok: false, error: error.message });
+    await sock.sendMessage(from, { text: `⚠️ ${error.message}` });
+  }
+  return true;
+}
@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+import { getLogger } from './logger.js';
+
+// Usage events for the `report` command, appended to a local JSON Lines file.
+// Each event: { at, type, contact, session, ...details } where `contact` is a salted
+// hash of the JID and `session` identifies one conversation from first message to
+// idle restart. Types:
+//   menu_view        { menu: welcome | category | suggestions, category?, page? }
+//   page_nav         { category, direction: next | prev }
+//   service_view     { serviceId, category }
+//   contact_request  {}
+//   quote_start      { serviceId, category }
+//   lead_submitted   { serviceId, category, reference }
+//   booking_start    { serviceId, category }
+//   booking_made     { serviceId, category, reference, rescheduled }
+//   booking_cancelled { category, reference }
+//   estimate_start   { serviceId, category }
+//   estimate_made    { serviceId, category, reference }
+
+const log = getLogger('analytics');
+
+export function newSessionId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+export function contactId(jid) {
+  return crypto.createHash('sha256').update(`${getConfig().analytics.salt}:${jid}`).digest('hex').slice(0, 16);
+}
+
+// Never throws; analytics must not break a reply
+export function recordEvent(type, jid, { session = null, ...details } = {}) {
+  const { enabled, file } = getConfig().analytics;
+  if (!enabled) return;
+
+  try {
+    const event = { at: new Date().toISOString(), type, contact: contactId(jid), session, ...details };
+    appendJsonLine(file, event);
+  } catch (error) {
+    log.error({ err: error }, `❌ Could not record ${type} event`);
+  }
+}
+
+// Oldest first
+export function readEvents(file = getConfig().analytics.file) {
+  return readJsonLines(file);
+}
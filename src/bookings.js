@@ -0,0 +1,263 @@
+import { getConfig } from './config.js';
+import { recordStore } from './store/index.js';
+import { getCatalog } from './catalog.js';
+import { newReference } from './leads.js';
+import { appointmentLength, appointmentSlots, upcomingDays, dayOf, formatOpening } from './hours.js';
+import { t, localize } from './i18n.js';
+import { getLogger } from './logger.js';
+
+// Consultation bookings. Free slots come from each company's weekly appointment hours
+// in data/schedule.json, minus the bookings already made for that company (one
+// consultation at a time per company). Bookings are kept in their own store (no TTL):
+//   { reference, jid, serviceId, service, company, start, end, lang,
+//     status: 'booked' | 'cancelled', sequence, createdAt, updatedAt, remindedAt? }
+// Writes run one at a time, so two customers can never take the same slot.
+
+const log = getLogger('bookings');
+
+const store = recordStore(() => getConfig().bookings.file);
+let pending = Promise.resolve();
+
+export function setBookingStore(next) {
+  store.set(next);
+}
+
+function exclusive(task) {
+  const run = pending.then(task);
+  pending = run.catch(() => {});
+  return run;
+}
+
+export async function listBookings() {
+  return (await store.get().entries())
+    .map(([, booking]) => booking)
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+}
+
+export async function getBooking(reference) {
+  return store.get().get(reference.toUpperCase());
+}
+
+// The contact's booked consultations that haven't started yet, soonest first
+export async function upcomingBookings(jid, now = Date.now()) {
+  return (await listBookings()).filter(booking =>
+    booking.jid === jid && booking.status === 'booked' && Date.parse(booking.start) > now
+  );
+}
+
+function overlaps(booking, start, end) {
+  return Date.parse(booking.start) < end && start < Date.parse(booking.end);
+}
+
+// Free slot start times on `day`; `ignore` is a booking being moved
+export async function freeSlots(companyId, day, { now = Date.now(), ignore = null } = {}) {
+  const minutes = appointmentLength(companyId);
+  if (!minutes) return [];
+
+  const earliest = now + getConfig().bookings.noticeMinutes * 60000;
+  const taken = (await listBookings()).filter(booking =>
+    booking.company === companyId && booking.status === 'booked' && booking.reference !== ignore
+  );
+  return appointmentSlots(companyId, day).filter(start => {
+    const from = start.getTime();
+    return from >= earliest && !taken.some(booking => overlaps(booking, from, from + minutes * 60000));
+  });
+}
+
+// Days in the booking window that still have a free slot → [{ day, slots }]
+export async function bookingDays(companyId, options = {}) {
+  const days = [];
+  for (const day of upcomingDays(getConfig().bookings.windowDays, new Date(options.now ?? Date.now()))) {
+    const slots = await freeSlots(companyId, day, options);
+    if (slots.length > 0) days.push({ day, slots: slots.length });
+  }
+  return days;
+}
+
+// The slot must still be offered and free at the moment of writing
+async function isBookable(companyId, start, ignore) {
+  const time = new Date(start).getTime();
+  const slots = await freeSlots(companyId, dayOf(new Date(time)), { ignore });
+  return slots.some(slot => slot.getTime() === time);
+}
+
+// → the booking, or null when the slot was taken (or is no longer offered) meanwhile
+export function createBooking({ jid, serviceId, company, start, lang }) {
+  return exclusive(async () => {
+    if (!(await isBookable(company, start))) return null;
+
+    const now = new Date().toISOString();
+    const booking = {
+      // e.g. BK-20261020-4F7K
+      reference: newReference(new Date(), 'BK'),
+      jid,
+      serviceId,
+      service: localize(getCatalog().services[serviceId]?.title, 'en') || serviceId,
+      company,
+      start: new Date(start).toISOString(),
+      end: new Date(Date.parse(start) + appointmentLength(company) * 60000).toISOString(),
+      lang,
+      status: 'booked',
+      sequence: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    await store.get().set(booking.reference, booking);
+    await store.get().flush();
+    log.info(`📅 Booking ${booking.reference} for ${serviceId} at ${booking.start}`);
+    return booking;
+  });
+}
+
+// → the moved booking, or null when the new slot is taken
+export function rescheduleBooking(reference, start) {
+  return exclusive(async () => {
+    const booking = await getBooking(reference);
+    if (booking?.status !== 'booked' || !(await isBookable(booking.company, start, booking.reference))) return null;
+
+    const moved = {
+      ...booking,
+      start: new Date(start).toISOString(),
+      end: new Date(Date.parse(start) + (Date.parse(booking.end) - Date.parse(booking.start))).toISOString(),
+      sequence: booking.sequence + 1,
+      updatedAt: new Date().toISOString(),
+      remindedAt: null
+    };
+    await store.get().set(reference, moved);
+    await store.get().flush();
+    log.info(`📅 Booking ${reference} moved to ${moved.start}`);
+    return moved;
+  });
+}
+
+export function cancelBooking(reference) {
+  return exclusive(async () => {
+    const booking = await getBooking(reference);
+    if (booking?.status !== 'booked') return null;
+
+    const cancelled = { ...booking, status: 'cancelled', sequence: booking.sequence + 1, updatedAt: new Date().toISOString() };
+    await store.get().set(booking.reference, cancelled);
+    await store.get().flush();
+    log.info(`🗑️ Booking ${booking.reference} cancelled`);
+    return cancelled;
+  });
+}
+
+// iCalendar text: escaped, CRLF line ends, lines folded at 75 octets
+function icsText(value) {
+  return String(value).replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+}
+
+function icsTime(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Continuation lines start with a space, so they hold one octet less
+function fold(line) {
+  const parts = [''];
+  for (const char of line) {
+    const room = parts.length === 1 ? 75 : 74;
+    if (Buffer.byteLength(parts.at(-1) + char) > room) parts.push('');
+    parts[parts.length - 1] += char;
+  }
+  return parts.join('\r\n ');
+}
+
+// Calendar invite for the booking; a cancelled booking gives an update that removes it
+export function bookingIcs(booking, now = new Date()) {
+  const category = getCatalog().categories.find(c => c.id === booking.company);
+  const company = localize(category?.name, 'en') || 'NovoNex';
+  const cancelled = booking.status === 'cancelled';
+  const description = [
+    `Reference: ${booking.reference}`,
+    category && `Hotline: ${category.hotline}`,
+    category && `Email: ${category.email}`
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//NovoNex//WhatsApp Bot//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${cancelled ? 'CANCEL' : 'PUBLISH'}`,
+    'BEGIN:VEVENT',
+    `UID:${booking.reference}@novonex.lk`,
+    `SEQUENCE:${booking.sequence}`,
+    `DTSTAMP:${icsTime(now.toISOString())}`,
+    `DTSTART:${icsTime(booking.start)}`,
+    `DTEND:${icsTime(booking.end)}`,
+    `SUMMARY:${icsText(`Consultation: ${booking.service} – ${company}`)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    ...(cancelled ? [] : ['BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:Consultation with NovoNex', 'TRIGGER:-PT30M', 'END:VALARM']),
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ];
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// Document message with the invite, named after the reference
+export function icsMessage(booking) {
+  return {
+    document: Buffer.from(bookingIcs(booking)),
+    mimetype: 'text/calendar',
+    fileName: `${booking.reference}.ics`
+  };
+}
+
+async function unmarkReminder(reference, remindedAt) {
+  try {
+    await exclusive(async () => {
+      const current = await getBooking(reference);
+      if (current?.remindedAt === remindedAt) await store.get().set(reference, { ...current, remindedAt: null });
+    });
+  } catch (error) {
+    log.error({ err: error }, `❌ Could not unmark the reminder for ${reference}`);
+  }
+}
+
+// Reminds customers of consultations starting within reminderMinutes; returns how many were sent
+export async function sendDueReminders(sock, now = Date.now()) {
+  const { reminderMinutes } = getConfig().bookings;
+  if (reminderMinutes <= 0) return 0;
+
+  const due = (await listBookings()).filter(booking => {
+    const start = Date.parse(booking.start);
+    return booking.status === 'booked' && !booking.remindedAt && start > now && start - reminderMinutes * 60000 <= now;
+  });
+
+  const remindedAt = new Date(now).toISOString();
+  let sent = 0;
+  for (const booking of due) {
+    let marked = false;
+    try {
+      // Marked before sending, so a sweep running meanwhile doesn't remind twice
+      marked = await exclusive(async () => {
+        // Skip bookings moved or cancelled since the list was read
+        const current = await getBooking(booking.reference);
+        if (current?.status !== 'booked' || current.start !== booking.start || current.remindedAt) return false;
+        await store.get().set(booking.reference, { ...current, remindedAt });
+        return true;
+      });
+      if (!marked) continue;
+
+      await sock.sendMessage(booking.jid, {
+        text: t(booking.lang, 'booking.reminder', {
+          service: localize(getCatalog().services[booking.serviceId]?.title, booking.lang) || booking.service,
+          time: formatOpening(new Date(booking.start), booking.lang),
+          reference: booking.reference
+        })
+      });
+      sent++;
+    } catch (error) {
+      log.error({ err: error }, `❌ Could not send the reminder for ${booking.reference}`);
+      // Unmarked again, so the next sweep tries once more
+      if (marked) await unmarkReminder(booking.reference, remindedAt);
+    }
+  }
+  if (sent > 0) {
+    await store.get().flush();
+    log.info(`⏰ Sent ${sent} booking reminder(s)`);
+  }
+  return sent;
+}
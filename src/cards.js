@@ -0,0 +1,139 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Jimp, loadFont, measureTextHeight } from 'jimp';
+import { SANS_64_BLACK, SANS_64_WHITE, SANS_32_BLACK, SANS_32_WHITE } from 'jimp/fonts';
+import { getCatalog } from './catalog.js';
+import { getConfig } from './config.js';
+import { localize } from './i18n.js';
+import { getLogger } from './logger.js';
+
+// Branded service cards: a square image with the service title, its highlights and the
+// company hotline, sent in place of a photo for services without `media.image`.
+// Cards are cached as `<serviceId>-<hash>.png`, hashed over everything drawn on them,
+// so a card is only rebuilt after the catalog text (or the layout version) changes.
+//
+// Jimp's bitmap fonts only cover ASCII, so cards always use the English texts.
+
+const log = getLogger('cards');
+
+// Bump when the layout changes so cached cards are redrawn
+const CARD_VERSION = 1;
+
+const SIZE = 1080;
+const MARGIN = 60;
+const HEADER = 200;
+const FOOTER = 150;
+const DEFAULT_COLOR = '#1e63e9';
+
+let fonts = null;
+const building = new Map();
+
+function getFonts() {
+  if (!fonts) {
+    fonts = Promise.all([SANS_64_BLACK, SANS_64_WHITE, SANS_32_BLACK, SANS_32_WHITE].map(font => loadFont(font)))
+      .then(([title, banner, text, footer]) => ({ title, banner, text, footer }))
+      .catch(error => {
+        fonts = null;
+        throw error;
+      });
+  }
+  return fonts;
+}
+
+function plain(value) {
+  return localize(value, 'en').replace(/[^\x20-\x7e]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// "#1e63e9" → 0x1e63e9ff
+function rgba(hex) {
+  return parseInt(`${hex.slice(1)}ff`, 16) >>> 0;
+}
+
+// Everything that ends up on the card, in drawing order
+export function cardContent(service, category) {
+  return {
+    category: plain(category.name),
+    title: plain(service.title),
+    highlights: service.highlights.map(plain).filter(Boolean),
+    hotline: plain(category.hotline),
+    email: plain(category.email),
+    color: category.color || DEFAULT_COLOR
+  };
+}
+
+export function cardHash(content) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ version: CARD_VERSION, ...content }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function fill(image, color, x, y, width, height) {
+  image.composite(new Jimp({ width, height, color }), x, y);
+}
+
+async function drawCard(content) {
+  const font = await getFonts();
+  const color = rgba(content.color);
+  const width = SIZE - MARGIN * 2;
+  const image = new Jimp({ width: SIZE, height: SIZE, color: 0xffffffff });
+
+  fill(image, color, 0, 0, SIZE, HEADER);
+  image.print({ font: font.banner, x: MARGIN, y: (HEADER - 64) / 2, text: content.category, maxWidth: width });
+
+  let y = HEADER + MARGIN;
+  image.print({ font: font.title, x: MARGIN, y, text: content.title, maxWidth: width });
+  y += measureTextHeight(font.title, content.title, width) + 40;
+
+  // Highlights that don't fit above the footer are left out
+  for (const highlight of content.highlights) {
+    const height = measureTextHeight(font.text, highlight, width - 50);
+    if (y + height > SIZE - FOOTER - 30) break;
+    fill(image, color, MARGIN, y + 8, 20, 20);
+    image.print({ font: font.text, x: MARGIN + 50, y, text: highlight, maxWidth: width - 50 });
+    y += height + 24;
+  }
+
+  fill(image, color, 0, SIZE - FOOTER, SIZE, FOOTER);
+  image.print({ font: font.footer, x: MARGIN, y: SIZE - FOOTER + 30, text: `Hotline: ${content.hotline}`, maxWidth: width });
+  image.print({ font: font.footer, x: MARGIN, y: SIZE - FOOTER + 80, text: content.email, maxWidth: width });
+  return image;
+}
+
+// Removes older cards of the same service
+function pruneCards(dir, serviceId, keep) {
+  for (const name of fs.readdirSync(dir)) {
+    if (name !== keep && name.startsWith(`${serviceId}-`) && name.endsWith('.png')) {
+      fs.rmSync(path.join(dir, name), { force: true });
+    }
+  }
+}
+
+async function buildCard(file, serviceId, content) {
+  const dir = path.dirname(file);
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Written under a temporary name first so a half-written card is never sent
+  const temporary = path.join(dir, `.${path.basename(file, '.png')}-${process.pid}.png`);
+  const image = await drawCard(content);
+  await image.write(temporary);
+  fs.renameSync(temporary, file);
+
+  pruneCards(dir, serviceId, path.basename(file));
+  log.info(`🖼️ Service card built for ${serviceId}`);
+  return file;
+}
+
+// Path of the service's card, drawing it first when the cache has no current one
+export async function serviceCard(service, category = getCatalog().categories.find(c => c.id === service.category)) {
+  const content = cardContent(service, category);
+  const file = path.join(getConfig().media.cacheDir, `${service.id}-${cardHash(content)}.png`);
+  if (fs.existsSync(file)) return file;
+
+  // Two customers opening the same service at once share one build
+  if (!building.has(file)) {
+    building.set(file, buildCard(file, service.id, content).finally(() => building.delete(file)));
+  }
+  return building.get(file);
+}
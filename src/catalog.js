@@ -0,0 +1,372 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getLogger } from './logger.js';
+
+const log = getLogger('catalog');
+
+const defaultCatalogFile = fileURLToPath(new URL('../data/catalog.json', import.meta.url));
+
+// Read lazily so CATALOG_FILE from .env is honoured
+export function catalogFile() {
+  return process.env.CATALOG_FILE
+    ? path.resolve(process.env.CATALOG_FILE)
+    : defaultCatalogFile;
+}
+
+// Last catalog that passed validation
+let current = null;
+
+const KEYCAPS = ['0️⃣', '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣'];
+
+// 10 → 🔟, 12 → 1️⃣2️⃣
+export function numberEmoji(number) {
+  if (number === 10) return '🔟';
+  return String(number).split('').map(digit => KEYCAPS[digit]).join('');
+}
+
+function isText(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isTextList(value) {
+  return Array.isArray(value) && value.every(isText);
+}
+
+// Customer-facing text: a string or { en: '…', si: '…', ... } with English required
+function isLocalized(value) {
+  if (isText(value)) return true;
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+    isText(value.en) && Object.values(value).every(isText);
+}
+
+function isLocalizedList(value) {
+  return Array.isArray(value) && value.every(isLocalized);
+}
+
+// Optional media per service, sent before its details: local paths (relative to the
+// catalog file) or http(s) URLs
+const MEDIA_TYPES = {
+  image: ['jpg', 'jpeg', 'png', 'webp'],
+  brochure: ['pdf'],
+  video: ['mp4', '3gp']
+};
+
+function validateMedia(media, where, errors) {
+  if (!media || typeof media !== 'object' || Array.isArray(media)) {
+    errors.push(`${where} must be an object with image, brochure and/or video`);
+    return;
+  }
+  for (const [key, value] of Object.entries(media)) {
+    if (!MEDIA_TYPES[key]) {
+      errors.push(`${where}.${key} is not a media type (expected: ${Object.keys(MEDIA_TYPES).join(', ')})`);
+    } else if (!isText(value) || !MEDIA_TYPES[key].includes(path.extname(value.split(/[?#]/)[0]).slice(1).toLowerCase())) {
+      errors.push(`${where}.${key} must be a path or URL to a ${MEDIA_TYPES[key].join('/')} file`);
+    }
+  }
+}
+
+// Optional price estimate rules per service (see estimates.js): amounts are a
+// number or a [min, max] range
+function isAmount(value) {
+  if (typeof value === 'number') return value >= 0;
+  return Array.isArray(value) && value.length === 2 &&
+    value.every(amount => typeof amount === 'number' && amount >= 0) && value[0] <= value[1];
+}
+
+function validatePricing(rule, where, errors) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    errors.push(`${where} must be an object with price, days and/or percent`);
+    return;
+  }
+  for (const key of ['price', 'days']) {
+    if (rule[key] !== undefined && !isAmount(rule[key])) {
+      errors.push(`${where}.${key} must be a number or a [min, max] range`);
+    }
+  }
+  if (rule.percent !== undefined && !(typeof rule.percent === 'number' && rule.percent >= 0)) {
+    errors.push(`${where}.percent must be a number`);
+  }
+}
+
+function validateEstimate(estimate, where, errors) {
+  if (!estimate || typeof estimate !== 'object' || Array.isArray(estimate)) {
+    errors.push(`${where} must be an object with base and questions`);
+    return;
+  }
+  validatePricing(estimate.base, `${where}.base`, errors);
+  if (!isLocalized(estimate.base?.label)) errors.push(`${where}.base.label must be a text`);
+
+  if (!Array.isArray(estimate.questions) || estimate.questions.length === 0) {
+    errors.push(`${where}.questions must be a non-empty array`);
+    return;
+  }
+
+  const ids = new Set();
+  estimate.questions.forEach((question, index) => {
+    const at = `${where}.questions[${index}]`;
+
+    if (!isText(question?.id)) {
+      errors.push(`${at}.id must be a non-empty string`);
+    } else if (ids.has(question.id)) {
+      errors.push(`${at}.id "${question.id}" is used twice`);
+    } else {
+      ids.add(question.id);
+    }
+    for (const key of ['prompt', 'label']) {
+      if (!isLocalized(question?.[key])) errors.push(`${at}.${key} must be a text`);
+    }
+
+    // Choice questions list options; the others ask for a number between min and max
+    if (question?.options !== undefined) {
+      if (!Array.isArray(question.options) || question.options.length === 0 || question.options.length > 10) {
+        errors.push(`${at}.options must be a list of 1-10 choices`);
+        return;
+      }
+      question.options.forEach((option, n) => {
+        validatePricing(option, `${at}.options[${n}]`, errors);
+        if (!isLocalized(option?.label)) errors.push(`${at}.options[${n}].label must be a text`);
+      });
+      if (question.multiple !== undefined && typeof question.multiple !== 'boolean') {
+        errors.push(`${at}.multiple must be true or false`);
+      }
+    } else {
+      if (!Number.isInteger(question?.min) || !Number.isInteger(question?.max) || question.min < 0 || question.min > question.max) {
+        errors.push(`${at} must have options, or whole numbers min and max (min <= max)`);
+      }
+      if (question?.included !== undefined && !(Number.isInteger(question.included) && question.included >= 0)) {
+        errors.push(`${at}.included must be a whole number`);
+      }
+      validatePricing(question?.each, `${at}.each`, errors);
+    }
+  });
+}
+
+function resolveMedia(media, base) {
+  if (!media) return null;
+  return Object.fromEntries(Object.entries(media).map(([key, value]) => [
+    key,
+    /^https?:\/\//i.test(value) ? value : path.resolve(base, value)
+  ]));
+}
+
+// Returns a list of problems, empty when the catalog is usable
+export function validateCatalog(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object') {
+    return ['catalog must be a JSON object'];
+  }
+
+  for (const key of ['title', 'intro', 'prompt', 'footer']) {
+    if (!isLocalized(data.welcome?.[key])) errors.push(`welcome.${key} must be a text`);
+  }
+
+  if (!isLocalized(data.contact?.title)) errors.push('contact.title must be a text');
+  if (!isText(data.contact?.email)) errors.push('contact.email must be a non-empty string');
+
+  const services = data.services && typeof data.services === 'object' ? data.services : null;
+  if (!services) {
+    errors.push('services must be an object keyed by service ID');
+  }
+
+  if (!Array.isArray(data.categories) || data.categories.length === 0) {
+    errors.push('categories must be a non-empty array');
+    return errors;
+  }
+
+  const categoryIds = new Set();
+  const listed = new Map();
+
+  data.categories.forEach((category, index) => {
+    const where = `categories[${index}]`;
+
+    if (!isText(category?.id)) {
+      errors.push(`${where}.id must be a non-empty string`);
+    } else if (categoryIds.has(category.id)) {
+      errors.push(`${where}.id "${category.id}" is used twice`);
+    } else {
+      categoryIds.add(category.id);
+    }
+
+    for (const key of ['icon', 'hotline']) {
+      if (!isText(category?.[key])) errors.push(`${where}.${key} must be a non-empty string`);
+    }
+    for (const key of ['name', 'button']) {
+      if (!isLocalized(category?.[key])) errors.push(`${where}.${key} must be a text`);
+    }
+    if (category?.email !== undefined && !isText(category.email)) {
+      errors.push(`${where}.email must be a non-empty string`);
+    }
+    // Brand colour of generated service cards
+    if (category?.color !== undefined && !/^#[0-9a-f]{6}$/i.test(category.color)) {
+      errors.push(`${where}.color must be a hex colour like #1e63e9`);
+    }
+    if (!isLocalizedList(category?.summary)) {
+      errors.push(`${where}.summary must be a list of texts`);
+    }
+
+    if (!Array.isArray(category?.pages) || category.pages.length === 0) {
+      errors.push(`${where}.pages must be a non-empty array`);
+      return;
+    }
+
+    category.pages.forEach((page, pageIndex) => {
+      if (!isTextList(page) || page.length === 0) {
+        errors.push(`${where}.pages[${pageIndex}] must be a non-empty list of service IDs`);
+        return;
+      }
+      for (const serviceId of page) {
+        if (listed.has(serviceId)) {
+          errors.push(`${serviceId} is listed in both "${listed.get(serviceId)}" and "${category.id}"`);
+        }
+        listed.set(serviceId, category.id);
+        if (services && !services[serviceId]) {
+          errors.push(`${where}.pages[${pageIndex}] references unknown service "${serviceId}"`);
+        }
+      }
+    });
+  });
+
+  for (const [serviceId, service] of Object.entries(services || {})) {
+    const where = `services.${serviceId}`;
+
+    if (!isLocalized(service?.title)) errors.push(`${where}.title must be a text`);
+    if (service?.heading !== undefined && !isLocalized(service.heading)) {
+      errors.push(`${where}.heading must be a text`);
+    }
+    if (!isLocalizedList(service?.highlights) || service.highlights.length === 0) {
+      errors.push(`${where}.highlights must be a non-empty list of texts`);
+    }
+    if (service?.notes !== undefined && !isLocalizedList(service.notes)) {
+      errors.push(`${where}.notes must be a list of texts`);
+    }
+    // Extra words customers use for the service, for free-text matching (any language)
+    if (service?.keywords !== undefined && !isTextList(service.keywords)) {
+      errors.push(`${where}.keywords must be a list of strings`);
+    }
+    if (service?.media !== undefined) validateMedia(service.media, `${where}.media`, errors);
+    if (service?.estimate !== undefined) validateEstimate(service.estimate, `${where}.estimate`, errors);
+    // Offers a consultation booking when the company has appointment hours (see hours.js)
+    if (service?.booking !== undefined && typeof service.booking !== 'boolean') {
+      errors.push(`${where}.booking must be true or false`);
+    }
+    if (!listed.has(serviceId)) {
+      errors.push(`${where} is not listed on any category page`);
+    }
+  }
+
+  return errors;
+}
+
+// Resolve page order, numbering, contact details and media paths once per load
+function compileCatalog(data, base) {
+  const services = {};
+
+  const categories = data.categories.map((category, index) => {
+    const order = category.pages.flat();
+
+    order.forEach((serviceId, position) => {
+      const service = data.services[serviceId];
+      services[serviceId] = {
+        ...service,
+        id: serviceId,
+        heading: service.heading || service.title,
+        notes: service.notes || [],
+        keywords: service.keywords || [],
+        media: resolveMedia(service.media, base),
+        category: category.id,
+        number: position + 1
+      };
+    });
+
+    return {
+      ...category,
+      number: index + 1,
+      email: category.email || data.contact.email,
+      services: order
+    };
+  });
+
+  return {
+    welcome: data.welcome,
+    contact: data.contact,
+    categories,
+    services
+  };
+}
+
+export function loadCatalog(file = catalogFile()) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateCatalog(data);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid catalog ${path.basename(file)}:\n - ${errors.join('\n - ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  current = compileCatalog(data, path.dirname(file));
+  return current;
+}
+
+export function getCatalog() {
+  return current || loadCatalog();
+}
+
+// Keeps serving the last good catalog when the file on disk is broken
+export function reloadCatalog(file = catalogFile()) {
+  try {
+    loadCatalog(file);
+    log.info(`📚 Catalog reloaded: ${Object.keys(current.services).length} services`);
+    return { ok: true };
+  } catch (error) {
+    log.error({ err: error }, `❌ Catalog reload failed, keeping previous version`);
+    return { ok: false, error };
+  }
+}
+
+export function watchCatalog(file = catalogFile(), interval = 1000) {
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    reloadCatalog(file);
+  };
+
+  fs.watchFile(file, { interval, persistent: false }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
+
+// Every customer-facing catalog text as [path, value], for the translation report
+export function catalogTexts(catalog = getCatalog()) {
+  const texts = [];
+
+  for (const key of ['title', 'intro', 'prompt', 'footer']) {
+    texts.push([`welcome.${key}`, catalog.welcome[key]]);
+  }
+  texts.push(['contact.title', catalog.contact.title]);
+
+  for (const category of catalog.categories) {
+    texts.push([`${category.id}.name`, category.name], [`${category.id}.button`, category.button]);
+    category.summary.forEach((item, index) => texts.push([`${category.id}.summary[${index}]`, item]));
+  }
+
+  for (const service of Object.values(catalog.services)) {
+    texts.push([`${service.id}.title`, service.title], [`${service.id}.heading`, service.heading]);
+    service.highlights.forEach((item, index) => texts.push([`${service.id}.highlights[${index}]`, item]));
+    service.notes.forEach((item, index) => texts.push([`${service.id}.notes[${index}]`, item]));
+
+    if (!service.estimate) continue;
+    texts.push([`${service.id}.estimate.base`, service.estimate.base.label]);
+    for (const question of service.estimate.questions) {
+      const where = `${service.id}.estimate.${question.id}`;
+      texts.push([`${where}.prompt`, question.prompt], [`${where}.label`, question.label]);
+      (question.options || []).forEach((option, index) => texts.push([`${where}.options[${index}]`, option.label]));
+    }
+  }
+
+  return texts;
+}
+
+export function getCategory(categoryId) {
+  return getCatalog().categories.find(category => category.id === categoryId) || null;
+}
@@ -0,0 +1,357 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { getConfig, loadConfig, resetConfig } from './config.js';
+import { validatePhone } from './phone.js';
+import { catalogFile, validateCatalog } from './catalog.js';
+import { scheduleFile, validateSchedule } from './hours.js';
+import { getLanguages } from './i18n.js';
+
+// Command line for index.js: `node index.js <command> [flags]`. Settings are resolved
+// in this order: command line flags, then the environment (.env included), then the
+// config file (wabot.config.json, or --config / WABOT_CONFIG). The config file uses
+// the same names as the environment: { "WA_NUMBER": "94771234567", "LOG_LEVEL": "debug" }.
+
+export const COMMANDS = {
+  start: 'Connect and answer messages (pairs first if needed)',
+  pair: 'Link this bot to a WhatsApp number, then exit',
+  logout: 'Unlink the bot from WhatsApp and delete the session',
+  'reset-session': 'Delete the local session so the next start pairs again',
+  status: 'Show the number, session and whether the bot is running',
+  'validate-config': 'Check settings, catalog and business hours',
+  simulate: 'Chat with the bot in the terminal ([number] [android|ios|web])',
+  report: 'Usage report (--days N, --csv <dir>)',
+  help: 'Show this help'
+};
+
+// Flags that set a setting, and the setting's name
+const FLAG_SETTINGS = {
+  number: 'WA_NUMBER',
+  'session-dir': 'SESSION_DIR',
+  'log-level': 'LOG_LEVEL',
+  'monitor-port': 'MONITOR_PORT',
+  catalog: 'CATALOG_FILE',
+  schedule: 'SCHEDULE_FILE'
+};
+
+// Switches that set a setting to a fixed value
+const SWITCH_SETTINGS = {
+  qr: ['LOGIN_MODE', 'qr']
+};
+
+// Settings read outside loadConfig()
+const EXTRA_SETTINGS = ['CATALOG_FILE', 'SCHEDULE_FILE', 'WABOT_CONFIG'];
+
+export const DEFAULT_CONFIG_FILE = 'wabot.config.json';
+
+const OPTIONS = {
+  ...Object.fromEntries(Object.keys(FLAG_SETTINGS).map(flag => [flag, { type: 'string' }])),
+  number: { type: 'string', short: 'n' },
+  config: { type: 'string', short: 'c' },
+  ...Object.fromEntries(Object.keys(SWITCH_SETTINGS).map(flag => [flag, { type: 'boolean' }])),
+  yes: { type: 'boolean', short: 'y' },
+  help: { type: 'boolean', short: 'h' },
+  // report
+  days: { type: 'string' },
+  csv: { type: 'string' }
+};
+
+const NUMBER = /^\+?\d[\d\s-]*$/;
+
+// → { command, flags, args } where args are the positionals after the command.
+// A bare number (`node index.js 94771234567`, `npm start 94771234567`) still works
+// as the number to connect with.
+export function parseCli(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  let [command = 'start', ...args] = positionals;
+
+  if (NUMBER.test(command)) {
+    args.unshift(command);
+    command = 'start';
+  }
+  if (['start', 'pair'].includes(command) && NUMBER.test(args[0] || '')) {
+    values.number ??= args.shift();
+  }
+  if (values.help) command = 'help';
+  if (!COMMANDS[command]) throw new Error(`Unknown command "${command}"`);
+  return { command, flags: values, args };
+}
+
+export function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return [
+    chalk.bold('Usage: node index.js <command> [flags]'),
+    '',
+    ...Object.entries(COMMANDS).map(([name, text]) => `  ${chalk.cyan(name.padEnd(width))}  ${text}`),
+    '',
+    chalk.bold('Flags'),
+    '  -n, --number <digits>    WhatsApp number with country code (WA_NUMBER)',
+    '      --qr                 Link by scanning a QR code instead of a pairing code (LOGIN_MODE=qr)',
+    '      --session-dir <dir>  Where the login session is kept (SESSION_DIR, default ./session)',
+    '  -c, --config <file>      Config file (WABOT_CONFIG, default ./wabot.config.json)',
+    '      --log-level <level>  trace, debug, info, warn or error (LOG_LEVEL)',
+    '      --monitor-port <n>   Serve /health and /metrics on this port (MONITOR_PORT)',
+    '      --catalog <file>     Service catalog (CATALOG_FILE)',
+    '      --schedule <file>    Business hours (SCHEDULE_FILE)',
+    '  -y, --yes                Don\'t ask before deleting the session',
+    '',
+    'Flags win over the environment and .env, which win over the config file.'
+  ].join('\n');
+}
+
+// Setting name -> 'flag' | 'file'; anything else set came from the environment
+let sources = {};
+
+export function readConfigFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error(`${file} must contain a JSON object of settings`);
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value === null) continue;
+    if (typeof value === 'object' && !Array.isArray(value)) {
+      throw new Error(`${file}: "${key}" must be a string, number, boolean or list`);
+    }
+    settings[key] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+  return settings;
+}
+
+function configFilePath(flags, env) {
+  const given = flags.config || env.WABOT_CONFIG;
+  if (given) return path.resolve(given);
+  return fs.existsSync(DEFAULT_CONFIG_FILE) ? path.resolve(DEFAULT_CONFIG_FILE) : null;
+}
+
+// Fills `env` from the config file where unset, then overrides it with flags.
+// Returns the config file used (or null) and its settings.
+export function applySettings(flags = {}, env = process.env) {
+  sources = {};
+  const file = configFilePath(flags, env);
+  const fromFile = file ? readConfigFile(file) : {};
+
+  for (const [key, value] of Object.entries(fromFile)) {
+    if (env[key] !== undefined) continue;
+    env[key] = value;
+    sources[key] = 'file';
+  }
+  for (const [flag, key] of Object.entries(FLAG_SETTINGS)) {
+    if (flags[flag] === undefined) continue;
+    env[key] = flags[flag];
+    sources[key] = 'flag';
+  }
+  for (const [flag, [key, value]] of Object.entries(SWITCH_SETTINGS)) {
+    if (!flags[flag]) continue;
+    env[key] = value;
+    sources[key] = 'flag';
+  }
+
+  resetConfig();
+  return { file, settings: fromFile };
+}
+
+export function settingSource(key, env = process.env) {
+  return sources[key] || (env[key] !== undefined ? 'env' : 'default');
+}
+
+// Every setting name loadConfig() looks at
+export function knownSettings() {
+  const names = new Set(EXTRA_SETTINGS);
+  loadConfig(new Proxy({}, { get: (target, key) => { names.add(key); } }));
+  return names;
+}
+
+// The configured number, checked; exits with a hint when missing or invalid
+export function requireNumber() {
+  const { number, defaultCountry } = getConfig().whatsapp;
+  if (!number) {
+    console.log(chalk.red('❌ Error: WhatsApp number is required!'));
+    console.log(chalk.yellow('💡 Usage: npm start -- --number <whatsapp-number> (or set WA_NUMBER in .env, or link with --qr)'));
+    console.log(chalk.cyan('Example: npm start -- --number 94741984208\n'));
+    process.exit(1);
+  }
+
+  const phone = validatePhone(number, { defaultCountry });
+  if (!phone.valid) {
+    console.log(chalk.red(`❌ Error: Invalid WhatsApp number! ${phone.reason}`));
+    console.log(chalk.yellow('Please provide a valid number with country code (e.g., 94741984208)\n'));
+    process.exit(1);
+  }
+  if (phone.warning) console.log(chalk.yellow(`⚠️ ${phone.warning}; pairing only works if it has WhatsApp`));
+  return phone.number;
+}
+
+// Pairing finished once WhatsApp sent the signed device identity (`account`)
+export function isPaired(creds) {
+  return Boolean(creds?.registered || creds?.account);
+}
+
+// What Baileys saved in creds.json, or null without a session
+export function readSession(dir = getConfig().whatsapp.sessionDir) {
+  const file = path.join(dir, 'creds.json');
+  if (!fs.existsSync(file)) return null;
+  try {
+    const creds = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { registered: isPaired(creds), id: creds.me?.id || null, name: creds.me?.name || null };
+  } catch {
+    return { registered: false, id: null, name: null, broken: true };
+  }
+}
+
+// Deletes the session directory, refusing anything that doesn't look like one
+export function removeSession(dir = getConfig().whatsapp.sessionDir) {
+  if (!fs.existsSync(dir)) return false;
+  const foreign = fs.readdirSync(dir, { withFileTypes: true }).filter(entry => !entry.isFile() || !entry.name.endsWith('.json'));
+  if (foreign.length > 0) {
+    throw new Error(`${dir} has files that are not part of a WhatsApp session (${foreign.map(entry => entry.name).join(', ')}); delete it by hand`);
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+  return true;
+}
+
+export async function runResetSession({ yes = false } = {}) {
+  const dir = getConfig().whatsapp.sessionDir;
+  if (!fs.existsSync(dir)) {
+    console.log(chalk.gray(`No session at ${dir}, nothing to reset.`));
+    return 0;
+  }
+
+  if (!yes) {
+    if (!process.stdin.isTTY) {
+      console.log(chalk.red('❌ Not deleting the session without confirmation; pass --yes.'));
+      return 1;
+    }
+    const { confirmed } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'confirmed',
+      message: `Delete the session in ${dir}? The bot will have to be paired again.`,
+      default: false
+    }]);
+    if (!confirmed) return 1;
+  }
+
+  removeSession(dir);
+  console.log(chalk.green(`🗑️  Session deleted. Run \`node index.js pair\` to link the bot again.`));
+  return 0;
+}
+
+// Asks a running bot's monitor for its health; null when it can't be reached
+async function fetchHealth({ port, host }) {
+  if (port === null) return null;
+  try {
+    const response = await fetch(`http://${host}:${port}/health`, { signal: AbortSignal.timeout(2000) });
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
+export async function runStatus(configFile = null) {
+  const config = getConfig();
+  const { number, sessionDir, defaultCountry } = config.whatsapp;
+  const row = (label, value) => console.log(`${chalk.cyan(label.padEnd(14))} ${value}`);
+
+  row('Config file', configFile || chalk.gray('none'));
+
+  const phone = number ? validatePhone(number, { defaultCountry }) : null;
+  row('Number', !number
+    ? chalk.yellow('not set')
+    : `${phone.valid ? phone.number : chalk.red(`${number} (${phone.reason})`)} ${chalk.gray(`from ${settingSource('WA_NUMBER')}`)}`);
+
+  const session = readSession(sessionDir);
+  row('Session dir', sessionDir);
+  row('Session', !session
+    ? chalk.yellow('not paired')
+    : session.broken
+      ? chalk.red('unreadable, run reset-session')
+      : session.registered ? chalk.green(`paired as ${session.id}${session.name ? ` (${session.name})` : ''}`) : chalk.yellow('pairing not finished'));
+
+  const health = await fetchHealth(config.monitor);
+  if (config.monitor.port === null) row('Bot', chalk.gray('unknown (set MONITOR_PORT to check a running bot)'));
+  else if (!health) row('Bot', chalk.yellow(`not running (nothing on ${config.monitor.host}:${config.monitor.port})`));
+  else row('Bot', `${health.status === 'ok' ? chalk.green(health.connection) : chalk.yellow(health.connection)}, up ${health.uptimeSeconds}s, ${health.activeConversations} active conversations`);
+  return 0;
+}
+
+function checkFile(file, validate, label, errors) {
+  try {
+    errors.push(...validate(JSON.parse(fs.readFileSync(file, 'utf8'))).map(error => `${label}: ${error}`));
+  } catch (error) {
+    errors.push(`${label}: ${error.message}`);
+  }
+}
+
+// → { errors, warnings }, both lists of messages
+export function validateSettings(fileSettings = {}, env = process.env) {
+  const errors = [];
+  const warnings = [];
+  const config = getConfig();
+  const { defaultCountry } = config.whatsapp;
+
+  const known = knownSettings();
+  for (const key of Object.keys(fileSettings)) {
+    if (!known.has(key)) warnings.push(`Config file: unknown setting ${key}`);
+  }
+
+  if (!config.whatsapp.number && config.whatsapp.login === 'code') {
+    warnings.push('WA_NUMBER is not set; pass --number when pairing, or --qr');
+  }
+  const numbers = [
+    ['WA_NUMBER', config.whatsapp.number],
+    ['AGENT_NUMBER', config.handoff.agentNumber],
+    ...config.admin.owners.map(owner => ['OWNER_NUMBERS', owner])
+  ];
+  for (const [key, value] of numbers) {
+    if (!value) continue;
+    const phone = validatePhone(value, { defaultCountry });
+    if (!phone.valid) errors.push(`${key} ${value}: ${phone.reason}`);
+    else if (phone.warning) warnings.push(`${key}: ${phone.warning}`);
+  }
+  if (config.admin.owners.length === 0) warnings.push('OWNER_NUMBERS is empty; nobody can run admin commands');
+
+  const choices = [
+    ['LOG_LEVEL', config.logging.level, ['trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent']],
+    ['LOG_CONSOLE', config.logging.console, ['pretty', 'json', 'off']],
+    ['STATE_BACKEND', config.state.backend, ['memory', 'file']],
+    ['RENDER_MODE', config.render.mode, ['list', 'buttons', 'text']],
+    ['LOGIN_MODE', config.whatsapp.login, ['code', 'qr']]
+  ];
+  for (const [key, value, allowed] of choices) {
+    if (!allowed.includes(value)) errors.push(`${key} must be one of ${allowed.join(', ')}, got "${value}"`);
+  }
+
+  for (const key of known) {
+    const value = env[key];
+    if (value === undefined || value === '' || !/(_SIZE|_MB|_FILES|_BURST|_MINUTE|_SECONDS|_MINUTES|_AFTER|_ENTRIES|_MS|_RETRIES|_PORT|_HOURS|_DAYS)$/.test(key)) continue;
+    if (!Number.isFinite(Number(value)) || Number(value) < 0) errors.push(`${key} must be a number, got "${value}"`);
+  }
+  for (const jid of config.groups.allowed) {
+    if (!jid.endsWith('@g.us')) errors.push(`GROUPS: "${jid}" is not a group JID (…@g.us)`);
+  }
+
+  const { port } = config.monitor;
+  if (port !== null && (!Number.isInteger(port) || port > 65535)) errors.push(`MONITOR_PORT must be a port number, got "${port}"`);
+
+  const missingLanguages = config.i18n.languages.filter(lang => !getLanguages().includes(lang));
+  if (missingLanguages.length > 0) warnings.push(`LANGUAGES: no locale file for ${missingLanguages.join(', ')}`);
+
+  checkFile(catalogFile(), validateCatalog, 'Catalog', errors);
+  checkFile(scheduleFile(), validateSchedule, 'Business hours', errors);
+  return { errors, warnings };
+}
+
+export function runValidateConfig(fileSettings) {
+  const { errors, warnings } = validateSettings(fileSettings);
+  for (const warning of warnings) console.log(chalk.yellow(`⚠️  ${warning}`));
+  for (const error of errors) console.log(chalk.red(`❌ ${error}`));
+  if (errors.length > 0) {
+    console.log(chalk.red(`\n${errors.length} problem(s) found.`));
+    return 1;
+  }
+  console.log(chalk.green('✅ Configuration is valid.'));
+  return 0;
+}
@@ -0,0 +1,188 @@
+import path from 'path';
+import { validatePhone } from './phone.js';
+
+// Settings come from the environment. index.js fills it from command line flags, then
+// .env and the shell, then the config file (see cli.js), before the bot starts.
+// Read lazily through getConfig() so modules imported before that still see the values.
+
+let cached = null;
+
+function number(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function list(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// "baileys=warn,store=debug" → { baileys: 'warn', store: 'debug' }
+function levels(value) {
+  return Object.fromEntries(list(value).map(item => item.split('=').map(part => part.trim())).filter(([name, level]) => name && level));
+}
+
+// "0771234567" or "+94 77 123 4567" → "94771234567", as WhatsApp writes it in JIDs.
+// Numbers that don't validate are kept as digits for validate-config to report.
+function phoneNumber(value, defaultCountry) {
+  const phone = validatePhone(value, { defaultCountry });
+  return phone.valid ? phone.number : String(value ?? '').replace(/\D/g, '');
+}
+
+export function loadConfig(env = process.env) {
+  const defaultCountry = env.DEFAULT_COUNTRY_CODE ?? '94';
+  return {
+    whatsapp: {
+      // The number the bot is linked to, with country code
+      number: env.WA_NUMBER || null,
+      sessionDir: path.resolve(env.SESSION_DIR || 'session'),
+      // code | qr – how a new session is linked: pairing code or scanning a QR code
+      login: env.LOGIN_MODE || 'code',
+      // Where the current QR code is saved as PNG in qr mode (deleted once linked)
+      qrFile: path.resolve(env.QR_FILE || path.join('storage', 'qr.png')),
+      // Calling code for local numbers written with a leading 0
+      defaultCountry
+    },
+    logging: {
+      // trace | debug | info | warn | error | fatal | silent
+      level: env.LOG_LEVEL || 'info',
+      // Per-logger overrides; Baileys is chatty below warn
+      levels: { baileys: 'warn', ...levels(env.LOG_LEVELS) },
+      // pretty | json | off, and an optional stricter level for the console only
+      console: env.LOG_CONSOLE || 'pretty',
+      consoleLevel: env.LOG_CONSOLE_LEVEL || null,
+      // JSON Lines file, rotated by size ('' disables)
+      file: env.LOG_FILE === '' ? null : path.resolve(env.LOG_FILE || path.join('storage', 'logs', 'bot.log')),
+      maxSizeMb: number(env.LOG_MAX_SIZE_MB, 10),
+      maxFiles: number(env.LOG_MAX_FILES, 5),
+      maskPhones: env.LOG_MASK_PHONES !== 'false'
+    },
+    state: {
+      // memory | file, for conversations only (the other stores always use files)
+      backend: env.STATE_BACKEND || 'file',
+      file: path.resolve(env.STATE_FILE || path.join('storage', 'state.json')),
+      maxEntries: number(env.STATE_MAX_ENTRIES, 5000),
+      // Conversations untouched for this long are forgotten entirely
+      ttlMinutes: number(env.STATE_TTL_MINUTES, 7 * 24 * 60),
+      // Conversations idle for this long restart at the welcome menu (0 disables)
+      idleTimeoutMinutes: number(env.IDLE_TIMEOUT_MINUTES, 30)
+    },
+    leads: {
+      // One JSON lead per line
+      file: path.resolve(env.LEADS_FILE || 'requests.jsonl'),
+      // Leads captured outside business hours, waiting for their company to open
+      queueFile: path.resolve(env.LEAD_QUEUE_FILE || path.join('storage', 'lead-queue.json'))
+    },
+    handoff: {
+      // WhatsApp number that receives handed-off conversations, with country code
+      agentNumber: phoneNumber(env.AGENT_NUMBER, defaultCountry),
+      file: path.resolve(env.HANDOFF_FILE || path.join('storage', 'handoffs.json')),
+      // Handoffs with no message either way for this long are closed
+      timeoutMinutes: number(env.HANDOFF_TIMEOUT_MINUTES, 30)
+    },
+    groups: {
+      // Group JIDs that are always allowed; owners add more with "!group on"
+      allowed: list(env.GROUPS),
+      file: path.resolve(env.GROUPS_FILE || path.join('storage', 'groups.json')),
+      // Messages starting with this are commands in groups ("/menu")
+      prefix: env.GROUP_PREFIX ?? '/'
+    },
+    queue: {
+      // How many recent message IDs are remembered to drop redeliveries
+      dedupeSize: number(env.DEDUPE_SIZE, 5000)
+    },
+    rateLimit: {
+      enabled: env.RATE_LIMIT_ENABLED !== 'false',
+      // Token buckets: `burst` messages at once, refilled at `perMinute` (0 lifts that limit)
+      inbound: {
+        contact: { burst: number(env.RATE_LIMIT_CONTACT_BURST, 10), perMinute: number(env.RATE_LIMIT_CONTACT_PER_MINUTE, 30) },
+        global: { burst: number(env.RATE_LIMIT_GLOBAL_BURST, 100), perMinute: number(env.RATE_LIMIT_GLOBAL_PER_MINUTE, 600) }
+      },
+      // Replies over these limits are delayed, never dropped
+      outbound: {
+        contact: { burst: number(env.SEND_LIMIT_CONTACT_BURST, 8), perMinute: number(env.SEND_LIMIT_CONTACT_PER_MINUTE, 40) },
+        global: { burst: number(env.SEND_LIMIT_GLOBAL_BURST, 20), perMinute: number(env.SEND_LIMIT_GLOBAL_PER_MINUTE, 120) }
+      },
+      // At most one "slow down" notice per contact in this many seconds
+      noticeCooldownSeconds: number(env.RATE_LIMIT_NOTICE_SECONDS, 60),
+      // Contacts with this many dropped messages within the window are blocked for a while (0 disables)
+      blockAfter: number(env.RATE_LIMIT_BLOCK_AFTER, 30),
+      blockWindowMinutes: number(env.RATE_LIMIT_BLOCK_WINDOW_MINUTES, 10),
+      blockMinutes: number(env.RATE_LIMIT_BLOCK_MINUTES, 60)
+    },
+    analytics: {
+      enabled: env.ANALYTICS_ENABLED !== 'false',
+      // One JSON event per line; contacts are stored as salted hashes, never numbers
+      file: path.resolve(env.ANALYTICS_FILE || path.join('storage', 'events.jsonl')),
+      salt: env.ANALYTICS_SALT || 'novonex'
+    },
+    connection: {
+      // Reconnect delays double from baseMs up to maxMs, with jitter
+      baseMs: number(env.RECONNECT_BASE_MS, 1000),
+      maxMs: number(env.RECONNECT_MAX_MS, 60 * 1000),
+      // Consecutive failed attempts before giving up (reset once connected)
+      maxRetries: number(env.RECONNECT_MAX_RETRIES, 10)
+    },
+    monitor: {
+      // /health and /metrics over HTTP; off unless a port is given
+      port: number(env.MONITOR_PORT, null),
+      // Keep on localhost unless a scraper on another machine needs it
+      host: env.MONITOR_HOST || '127.0.0.1'
+    },
+    bookings: {
+      file: path.resolve(env.BOOKINGS_FILE || path.join('storage', 'bookings.json')),
+      // How far ahead consultations can be booked, and how soon at the earliest
+      windowDays: number(env.BOOKING_WINDOW_DAYS, 14),
+      noticeMinutes: number(env.BOOKING_NOTICE_MINUTES, 120),
+      // Reminder sent this long before the appointment (0 disables)
+      reminderMinutes: number(env.BOOKING_REMINDER_MINUTES, 60)
+    },
+    estimates: {
+      // Price estimates customers worked out, one JSON object per line
+      file: path.resolve(env.ESTIMATES_FILE || path.join('storage', 'estimates.jsonl')),
+      // How long an estimate holds; quote requests for the service carry it meanwhile
+      validDays: number(env.ESTIMATE_VALID_DAYS, 30)
+    },
+    inbox: {
+      // Files, locations and contact cards customers send, one folder per contact
+      dir: path.resolve(env.INBOX_DIR || path.join('storage', 'inbox')),
+      maxMb: number(env.INBOX_MAX_MB, 16),
+      // Accepted MIME types; "*" matches anything ("image/*")
+      mimeTypes: list(env.INBOX_MIME_TYPES ?? 'image/*,video/*,audio/*,application/pdf,application/msword,application/vnd.openxmlformats-officedocument.*,text/plain'),
+      // Items arriving this long after a lead was submitted are attached to it
+      attachHours: number(env.INBOX_ATTACH_HOURS, 72)
+    },
+    media: {
+      // Generate a branded card image for services without media.image
+      cards: env.SERVICE_CARDS !== 'false',
+      // Generated cards, one PNG per service and catalog text version
+      cacheDir: path.resolve(env.CARD_CACHE_DIR || path.join('storage', 'cards'))
+    },
+    i18n: {
+      // Offered in the language picker, in this order; English is always the fallback
+      languages: list(env.LANGUAGES || 'en,si,ta')
+    },
+    render: {
+      // list | buttons | text – how menus are sent to clients that can show buttons
+      mode: env.RENDER_MODE || 'buttons',
+      // Clients (android, ios, web, desktop, unknown) that always get plain numbered text
+      textDevices: list(env.RENDER_TEXT_DEVICES ?? 'web,desktop')
+    },
+    admin: {
+      // Comma-separated WhatsApp numbers allowed to run !commands
+      owners: list(env.OWNER_NUMBERS).map(owner => phoneNumber(owner, defaultCountry)).filter(Boolean),
+      controlsFile: path.resolve(env.CONTROLS_FILE || path.join('storage', 'controls.json')),
+      auditFile: path.resolve(env.AUDIT_LOG || path.join('storage', 'audit.log'))
+    }
+  };
+}
+
+export function getConfig() {
+  if (!cached) cached = loadConfig();
+  return cached;
+}
+
+// Drops the cached settings so the next getConfig() re-reads the environment
+export function resetConfig() {
+  cached = null;
+}
@@ -0,0 +1,169 @@
+import { getConfig } from './config.js';
+import { getLogger } from './logger.js';
+import { increment, setConnectionState } from './metrics.js';
+
+// Keeps one WhatsApp socket alive. `createSocket(listen)` builds a socket (and pairs it
+// when needed) and `setup(sock, on)` adds the app's listeners; both attach listeners
+// through the function they are given so they are removed again with the socket. When the connection closes, the old socket is torn
+// down and the close reason decides what happens next:
+//   restartRequired      reconnect straight away (WhatsApp asks for it after pairing)
+//   loggedOut            stop: the linked device was removed, pair again
+//   badSession           stop: the stored session is broken, reset it and pair again
+//   connectionReplaced   stop: another instance opened this session
+//   anything else        reconnect with exponential backoff and jitter, up to maxRetries
+// Failures inside createSocket() (e.g. requesting a pairing code) back off the same way.
+
+const log = getLogger('connection');
+
+// Same codes as Baileys' DisconnectReason
+export const DISCONNECT_REASONS = {
+  loggedOut: 401,
+  connectionReplaced: 440,
+  badSession: 500,
+  restartRequired: 515
+};
+
+// Attempt 1 waits about baseMs, doubling up to maxMs; jitter keeps 50–100% of it
+export function backoffDelay(attempt, { baseMs, maxMs }, random = Math.random) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(ceiling * (0.5 + random() / 2));
+}
+
+function statusCodeOf(error) {
+  return error?.output?.statusCode ?? error?.statusCode ?? null;
+}
+
+export function createConnectionManager({
+  createSocket,
+  setup = () => {},
+  onOpen = () => {},
+  // (reason, message) when the manager gives up; the caller decides whether to exit
+  onFatal = () => {},
+  reasons = DISCONNECT_REASONS,
+  settings = getConfig().connection,
+  random = Math.random
+}) {
+  let sock = null;
+  let listeners = [];
+  let attempts = 0;
+  let timer = null;
+  let stopped = false;
+
+  function teardown() {
+    for (const [target, event, listener] of listeners) target.ev.off(event, listener);
+    listeners = [];
+    if (!sock) return;
+    try {
+      sock.end?.(undefined);
+    } catch (error) {
+      log.debug({ err: error }, 'Socket was already closed');
+    }
+    sock = null;
+  }
+
+  function fail(reason, message) {
+    stopped = true;
+    teardown();
+    setConnectionState(reason === 'loggedOut' ? 'logged_out' : 'stopped');
+    log.error({ reason }, `❌ ${message}`);
+    onFatal(reason, message);
+  }
+
+  function retry(why) {
+    if (stopped) return;
+    attempts++;
+    if (attempts > settings.maxRetries) {
+      fail('retries', `Gave up after ${settings.maxRetries} reconnect attempts (${why})`);
+      return;
+    }
+
+    const delay = backoffDelay(attempts, settings, random);
+    setConnectionState('reconnecting');
+    increment('reconnects_total');
+    log.warn(`🔁 ${why}. Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${attempts}/${settings.maxRetries})`);
+    timer = setTimeout(() => {
+      timer = null;
+      connect();
+    }, delay);
+  }
+
+  function handleClose(lastDisconnect) {
+    const code = statusCodeOf(lastDisconnect?.error);
+    teardown();
+    if (stopped) return;
+
+    switch (code) {
+      case reasons.restartRequired:
+        log.info('🔄 Restart required by WhatsApp, reconnecting');
+        connect();
+        break;
+      case reasons.loggedOut:
+        fail('loggedOut', 'Logged out from WhatsApp. Reset the session and pair again.');
+        break;
+      case reasons.badSession:
+        fail('badSession', 'The stored session is broken. Reset the session and pair again.');
+        break;
+      case reasons.connectionReplaced:
+        fail('connectionReplaced', 'Another instance opened this session. Stopping so they do not keep replacing each other.');
+        break;
+      default:
+        retry(`Connection closed${code ? ` (${code})` : ''}: ${lastDisconnect?.error?.message || 'unknown reason'}`);
+    }
+  }
+
+  async function connect() {
+    if (stopped) return;
+    setConnectionState('connecting');
+
+    const listen = (target, event, listener) => {
+      listeners.push([target, event, listener]);
+      target.ev.on(event, listener);
+    };
+
+    let next;
+    try {
+      next = await createSocket(listen);
+    } catch (error) {
+      teardown();
+      log.error({ err: error }, '❌ Could not start the WhatsApp connection');
+      retry(`Connection attempt failed: ${error.message}`);
+      return;
+    }
+
+    sock = next;
+    if (stopped) {
+      teardown();
+      return;
+    }
+
+    const on = (event, listener) => listen(next, event, listener);
+    on('connection.update', update => {
+      if (update.connection === 'open') {
+        attempts = 0;
+        setConnectionState('open');
+        onOpen(next);
+      } else if (update.connection === 'close' && next === sock) {
+        handleClose(update.lastDisconnect);
+      }
+    });
+    setup(sock, on);
+  }
+
+  return {
+    start: connect,
+    // No more reconnects; closes the current socket
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+      teardown();
+      setConnectionState('stopped');
+    },
+    get socket() {
+      return sock;
+    },
+    get attempts() {
+      return attempts;
+    }
+  };
+}
@@ -0,0 +1,51 @@
+import { getConfig } from './config.js';
+import { recordStore } from './store/index.js';
+
+// Runtime switches the owners can flip over WhatsApp: a global pause and a
+// contact blocklist. Kept in their own store so they survive restarts.
+
+const PAUSED_KEY = 'paused';
+const BLOCK_PREFIX = 'block:';
+
+const store = recordStore(() => getConfig().admin.controlsFile);
+
+export function setControlsStore(next) {
+  store.set(next);
+}
+
+export async function isPaused() {
+  return Boolean(await store.get().get(PAUSED_KEY));
+}
+
+export async function setPaused(paused) {
+  if (paused) {
+    await store.get().set(PAUSED_KEY, { since: new Date().toISOString() });
+  } else {
+    await store.get().delete(PAUSED_KEY);
+  }
+  await store.get().flush();
+}
+
+// `ttl` in ms makes the block temporary; omit it to block until !unblock
+export async function blockContact(jid, { reason = null, by = null, ttl } = {}) {
+  const until = ttl ? new Date(Date.now() + ttl).toISOString() : null;
+  await store.get().set(`${BLOCK_PREFIX}${jid}`, { jid, reason, by, until, at: new Date().toISOString() }, { ttl: ttl || 0 });
+  await store.get().flush();
+}
+
+export async function unblockContact(jid) {
+  const removed = await store.get().delete(`${BLOCK_PREFIX}${jid}`);
+  await store.get().flush();
+  return removed;
+}
+
+export async function isBlocked(jid) {
+  return Boolean(await store.get().get(`${BLOCK_PREFIX}${jid}`));
+}
+
+export async function listBlocked() {
+  const entries = await store.get().entries();
+  return entries
+    .filter(([key]) => key.startsWith(BLOCK_PREFIX))
+    .map(([, block]) => block);
+}
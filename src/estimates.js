@@ -0,0 +1,106 @@
+import { getConfig } from './config.js';
+import { newReference } from './leads.js';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+import { localize } from './i18n.js';
+import { getLogger } from './logger.js';
+
+// Rough price estimates from the `estimate` rules of a catalog service:
+//   base       – the starting package { label, price, days }
+//   questions  – asked in order; number questions { min, max, included?, each } charge
+//                `each` per unit above `included`, choice questions { options, multiple? }
+//                charge for the chosen options
+// Every rule may have `price` (LKR) and `days` (working days), each a number or a
+// [min, max] range, and `percent`: a share of all the fixed prices, e.g. for building
+// the same app for a second platform.
+// Estimates are saved in English, one per line, so a quote request for the service can
+// carry the customer's latest one (see flow/quote.js):
+//   { reference, jid, serviceId, service, answers, items: [{ text, price }], price,
+//     weeks, lang, createdAt }
+
+const log = getLogger('estimates');
+
+function range(value = 0) {
+  return Array.isArray(value) ? value : [value, value];
+}
+
+function add(a, b) {
+  return [a[0] + b[0], a[1] + b[1]];
+}
+
+function scale([min, max], factor) {
+  return [min * factor, max * factor];
+}
+
+// Each rule that applies to the answers, with how many times it counts
+function appliedRules(estimate, answers, l) {
+  const applied = [{ text: l(estimate.base.label), rule: estimate.base, count: 1 }];
+
+  for (const question of estimate.questions) {
+    const answer = answers[question.id];
+    if (question.options && question.multiple) {
+      for (const index of answer) {
+        applied.push({ text: l(question.options[index].label), rule: question.options[index], count: 1 });
+      }
+    } else if (question.options) {
+      const option = question.options[answer];
+      applied.push({ text: `${l(question.label)} (${l(option.label)})`, rule: option, count: 1 });
+    } else {
+      const extra = Math.max(answer - (question.included || 0), 0);
+      applied.push({ text: `${l(question.label)} (${answer})`, rule: question.each, count: extra });
+    }
+  }
+  return applied;
+}
+
+// → { items: [{ text, price }], price, weeks } with prices in LKR, rounded to 100
+export function priceEstimate(service, answers, lang = 'en') {
+  const applied = appliedRules(service.estimate, answers, value => localize(value, lang));
+
+  // Percentages are a share of the fixed prices, so they are added up first
+  const fixed = applied.reduce((sum, { rule, count }) => add(sum, scale(range(rule.price), count)), [0, 0]);
+  const items = applied.map(({ text, rule, count }) => {
+    const price = add(scale(range(rule.price), count), scale(fixed, (rule.percent || 0) * count / 100));
+    return { text, price: price.map(amount => Math.round(amount / 100) * 100) };
+  });
+
+  const price = items.reduce((sum, item) => add(sum, item.price), [0, 0]);
+  const days = applied.reduce((sum, { rule, count }) => add(sum, scale(range(rule.days), count)), [0, 0]);
+  // Five working days a week
+  const weeks = days.map(total => Math.max(Math.ceil(total / 5), 1));
+  return { items, price, weeks };
+}
+
+// [45000, 75000] → "LKR 45,000 – 75,000"
+export function formatPrice([min, max]) {
+  const amount = value => value.toLocaleString('en-US');
+  return min === max ? `LKR ${amount(min)}` : `LKR ${amount(min)} – ${amount(max)}`;
+}
+
+export function saveEstimate({ jid, service, answers, lang }, file = getConfig().estimates.file) {
+  const record = {
+    reference: newReference(new Date(), 'ES'),
+    jid,
+    serviceId: service.id,
+    service: localize(service.title, 'en'),
+    answers,
+    ...priceEstimate(service, answers, 'en'),
+    lang,
+    createdAt: new Date().toISOString()
+  };
+
+  appendJsonLine(file, record);
+  log.info(`🧮 Estimate ${record.reference} for ${service.id}: ${formatPrice(record.price)}`);
+  return record;
+}
+
+// Oldest first
+export function readEstimates(file = getConfig().estimates.file) {
+  return readJsonLines(file);
+}
+
+// The contact's newest estimate for the service that is still valid, if any
+export function latestEstimate(jid, serviceId, now = Date.now()) {
+  const since = now - getConfig().estimates.validDays * 24 * 60 * 60 * 1000;
+  const estimate = readEstimates().filter(e => e.jid === jid && e.serviceId === serviceId).at(-1);
+  return estimate && Date.parse(estimate.createdAt) >= since ? estimate : null;
+}
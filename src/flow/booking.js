@@ -0,0 +1,227 @@
+import { defineFlow } from './engine.js';
+import { serviceFlowNavigation } from './steps.js';
+import { getCatalog } from '../catalog.js';
+import {
+  bookingDays, freeSlots, createBooking, rescheduleBooking, cancelBooking, upcomingBookings, icsMessage
+} from '../bookings.js';
+import { appointmentLength, formatDay, formatTime, formatOpening } from '../hours.js';
+import { getConfig } from '../config.js';
+import { getLogger } from '../logger.js';
+
+// Consultation booking: pick a day, then a free time, then confirm. The booking is
+// saved (see bookings.js) and the customer gets a calendar invite as a document.
+// state.booking = { serviceId, company, reschedule?, day?, start?, options } where
+// `options` are the days or times last listed, so typed numbers refer to them.
+// From the menus customers can also type "bookings", "reschedule [reference]" and
+// "cancel booking [reference]" (see menu.js).
+
+const log = getLogger('flow');
+
+// One list message holds 10 rows; the rest are for the Back/Cancel actions
+const MAX_CHOICES = 8;
+
+export function isBookable(service) {
+  return Boolean(service?.booking && appointmentLength(service.category));
+}
+
+function serviceTitle(ctx, serviceId) {
+  return ctx.localize(getCatalog().services[serviceId]?.title) || serviceId;
+}
+
+export async function startBooking(ctx, { serviceId, company, reschedule = null }) {
+  log.info(`📅 Booking ${reschedule ? `change for ${reschedule}` : `started for ${serviceId}`}`);
+  ctx.track('booking_start', { serviceId, category: company });
+  await ctx.go('booking.day', { booking: { serviceId, company, reschedule } });
+}
+
+function choose(pattern) {
+  return (text, ctx) => {
+    const { options = [] } = ctx.state.booking;
+    if (/^\d+$/.test(text)) return options[parseInt(text) - 1] || null;
+    return text.match(pattern)?.[1] || null;
+  };
+}
+
+const navigation = (ctx, back = true) => [
+  ...(back ? [{ id: 'book_back', title: ctx.t('button.back'), keyword: 'back' }] : []),
+  { id: 'book_cancel', title: ctx.t('button.cancel'), keyword: 'cancel' }
+];
+
+async function sendDays(ctx) {
+  const { serviceId, company, reschedule } = ctx.state.booking;
+  const days = (await bookingDays(company, { ignore: reschedule })).slice(0, MAX_CHOICES);
+  if (days.length === 0) {
+    const category = getCatalog().categories.find(c => c.id === company);
+    await ctx.send({ text: ctx.t('booking.noDays', { days: getConfig().bookings.windowDays, hotline: category?.hotline }) });
+    ctx.update({ step: 'menu.service', service: serviceId, booking: null });
+    return;
+  }
+
+  ctx.update({ booking: { ...ctx.state.booking, options: days.map(({ day }) => day) } });
+  await ctx.render({
+    title: ctx.t('booking.title'),
+    text: ctx.t('booking.pickDay', { service: serviceTitle(ctx, serviceId) }),
+    sections: [{
+      rows: days.map(({ day, slots }) => ({
+        id: `book_day_${day}`,
+        title: formatDay(day, ctx.state.lang),
+        description: ctx.t('booking.freeSlots', { count: slots })
+      }))
+    }],
+    actions: navigation(ctx, false)
+  });
+}
+
+async function sendTimes(ctx) {
+  const { company, day, reschedule } = ctx.state.booking;
+  const slots = (await freeSlots(company, day, { ignore: reschedule })).slice(0, MAX_CHOICES);
+  if (slots.length === 0) {
+    await ctx.send({ text: ctx.t('booking.dayFull') });
+    return ctx.go('day');
+  }
+
+  ctx.update({ booking: { ...ctx.state.booking, options: slots.map(slot => slot.toISOString()) } });
+  await ctx.render({
+    title: ctx.t('booking.title'),
+    text: ctx.t('booking.pickTime', { day: formatDay(day, ctx.state.lang) }),
+    sections: [{
+      rows: slots.map(slot => ({ id: `book_time_${slot.toISOString()}`, title: formatTime(slot, ctx.state.lang) }))
+    }],
+    actions: navigation(ctx)
+  });
+}
+
+async function sendConfirm(ctx) {
+  const { serviceId, company, start } = ctx.state.booking;
+  await ctx.render({
+    title: ctx.t('booking.title'),
+    text: ctx.t('booking.confirm', {
+      service: serviceTitle(ctx, serviceId),
+      time: formatOpening(new Date(start), ctx.state.lang),
+      minutes: appointmentLength(company)
+    }),
+    actions: [{ id: 'book_confirm', title: ctx.t('button.confirm'), keyword: 'yes' }, ...navigation(ctx)]
+  });
+}
+
+async function confirmBooking(ctx) {
+  const { serviceId, company, start, reschedule } = ctx.state.booking;
+  const lang = ctx.state.lang || 'en';
+  const booking = reschedule
+    ? await rescheduleBooking(reschedule, start)
+    : await createBooking({ jid: ctx.from, serviceId, company, start, lang });
+
+  if (!booking) {
+    log.info(`📅 Slot ${start} was taken before it could be booked`);
+    await ctx.send({ text: ctx.t('booking.taken') });
+    return ctx.go('time');
+  }
+
+  ctx.track('booking_made', { serviceId, category: company, reference: booking.reference, rescheduled: Boolean(reschedule) });
+  await ctx.render({
+    text: ctx.t(reschedule ? 'booking.rescheduled' : 'booking.booked', {
+      reference: booking.reference,
+      service: serviceTitle(ctx, serviceId),
+      time: formatOpening(new Date(booking.start), lang)
+    }),
+    actions: [{ id: 'back_to_welcome', title: ctx.t('button.mainMenu'), keyword: 'menu' }]
+  });
+  await ctx.send(icsMessage(booking));
+  ctx.update({ step: 'menu.service', service: serviceId, booking: null });
+}
+
+// The contact's booking named by `reference`, else their next one; tells them when there is none
+async function findBooking(ctx, reference) {
+  const upcoming = await upcomingBookings(ctx.from);
+  const booking = reference
+    ? upcoming.find(b => b.reference === reference.toUpperCase())
+    : upcoming[0];
+  if (!booking) await ctx.send({ text: ctx.t('booking.none') });
+  return booking;
+}
+
+// "bookings"
+export async function listMyBookings(ctx) {
+  const upcoming = await upcomingBookings(ctx.from);
+  if (upcoming.length === 0) {
+    await ctx.send({ text: ctx.t('booking.none') });
+    return;
+  }
+  const lines = upcoming.map(booking =>
+    `🔖 *${booking.reference}* – ${serviceTitle(ctx, booking.serviceId)}\n   📅 ${formatOpening(new Date(booking.start), ctx.state.lang)}`
+  );
+  await ctx.send({ text: ctx.t('booking.list', { bookings: lines.join('\n\n') }) });
+}
+
+// "reschedule [reference]"
+export async function startReschedule(ctx, reference) {
+  const booking = await findBooking(ctx, reference);
+  if (!booking) return;
+  await startBooking(ctx, { serviceId: booking.serviceId, company: booking.company, reschedule: booking.reference });
+}
+
+// "cancel booking [reference]": also sends an invite update that removes the event
+export async function cancelMyBooking(ctx, reference) {
+  const booking = await findBooking(ctx, reference);
+  if (!booking) return;
+
+  const cancelled = await cancelBooking(booking.reference);
+  if (!cancelled) return;
+  ctx.track('booking_cancelled', { category: cancelled.company, reference: cancelled.reference });
+  await ctx.send({
+    text: ctx.t('booking.cancelled', {
+      reference: cancelled.reference,
+      time: formatOpening(new Date(cancelled.start), ctx.state.lang)
+    })
+  });
+  await ctx.send(icsMessage(cancelled));
+}
+
+const backTo = { time: 'day', confirm: 'time' };
+
+const { leave, goBack, goHome } = serviceFlowNavigation('booking', {
+  stopped: 'booking.stopped',
+  previous: ctx => {
+    const step = backTo[ctx.state.step.split('.')[1]];
+    return step ? { step } : null;
+  }
+});
+
+export const bookingFlow = defineFlow({
+  id: 'booking',
+  states: {
+    day: {
+      enter: sendDays,
+      input: [{
+        match: choose(/^book_day_(\d{4}-\d{2}-\d{2})$/),
+        run: (ctx, day) => ctx.go('time', { booking: { ...ctx.state.booking, day } })
+      }]
+    },
+    time: {
+      enter: sendTimes,
+      input: [{
+        match: choose(/^book_time_(\d{4}-\d{2}-\d{2}T[\d:.]+Z)$/),
+        run: (ctx, start) => ctx.go('confirm', { booking: { ...ctx.state.booking, start } })
+      }]
+    },
+    confirm: {
+      enter: sendConfirm,
+      buttons: { book_confirm: confirmBooking },
+      input: [{ match: /^(yes|confirm|ok)$/i, run: confirmBooking }]
+    }
+  },
+  shared: {
+    buttons: {
+      book_back: goBack,
+      book_cancel: leave,
+      back_to_welcome: goHome
+    },
+    input: [
+      { match: /^back$/i, run: goBack },
+      { match: /^cancel$/i, run: leave },
+      { match: /^(menu|home)$/i, run: goHome }
+    ]
+  },
+  // Anything else shows the current choices again
+  fallback: ctx => ctx.go(ctx.state.step.split('.')[1])
+});
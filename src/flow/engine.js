@@ -0,0 +1,177 @@
+import { t, localize } from '../i18n.js';
+import { sendMenu } from '../render.js';
+import { recordEvent, newSessionId } from '../analytics.js';
+
+// Declarative conversation flows.
+//
+// A flow is a set of named states. Each state may declare:
+//   enter(ctx)  – prompt sent when the conversation moves into the state
+//   buttons     – { [buttonOrRowId]: action } exact matches on the reply text
+//   input       – [{ match, run }] typed input; match is a RegExp or (text, ctx) => value
+//   keywords    – [{ match: ['word', ...], run }] case-insensitive substring matches
+//   fallback    – action for anything the state does not understand
+// A flow can add `shared` rules (same shape, minus enter/fallback) that apply to all
+// of its states after the state's own rules, plus a flow-wide `fallback`.
+// States that collect free text (forms) set `isolated: true` to skip the shared rules.
+//
+// Handlers reply through ctx.send() for plain messages and ctx.render(menu) for anything with
+// choices (see render.js), and word replies with ctx.t(key, vars) (locale tables) and
+// ctx.localize(value) (catalog texts), both in the conversation's language.
+// ctx.track(type, details) records a usage event for the report (see analytics.js).
+//
+// An action is either a step name ('welcome' in the same flow, 'quote.name' in another)
+// or an async function (ctx, match) that sends replies and calls ctx.go()/ctx.update().
+
+const flows = new Map();
+const states = new Map();
+let entryStep = null;
+
+function qualify(flowId, step) {
+  return step.includes('.') ? step : `${flowId}.${step}`;
+}
+
+export function defineFlow(flow) {
+  if (!flow?.id || flow.id.includes('.')) {
+    throw new Error(`Flow id must be a non-empty string without dots: ${flow?.id}`);
+  }
+  if (flows.has(flow.id)) {
+    throw new Error(`Flow "${flow.id}" is already defined`);
+  }
+  if (!flow.states || Object.keys(flow.states).length === 0) {
+    throw new Error(`Flow "${flow.id}" has no states`);
+  }
+
+  flows.set(flow.id, flow);
+  for (const [name, definition] of Object.entries(flow.states)) {
+    states.set(`${flow.id}.${name}`, { flow, name, definition });
+  }
+
+  if (flow.entry) {
+    if (entryStep) throw new Error(`Flow "${flow.id}" cannot replace entry step ${entryStep}`);
+    entryStep = qualify(flow.id, flow.start);
+  }
+
+  return flow;
+}
+
+// Checks that every step-name action points at a defined state
+export function validateFlows() {
+  const errors = [];
+
+  const check = (flow, where, action) => {
+    if (typeof action === 'string' && !states.has(qualify(flow.id, action))) {
+      errors.push(`${where} → unknown step "${action}"`);
+    }
+  };
+
+  const checkRules = (flow, where, rules = {}) => {
+    for (const [id, action] of Object.entries(rules.buttons || {})) check(flow, `${where} button ${id}`, action);
+    for (const rule of [...(rules.input || []), ...(rules.keywords || [])]) check(flow, `${where} rule`, rule.run);
+  };
+
+  if (!entryStep) errors.push('No entry flow defined');
+
+  for (const flow of flows.values()) {
+    if (flow.start) check(flow, `${flow.id} start`, flow.start);
+    check(flow, `${flow.id} fallback`, flow.fallback);
+    checkRules(flow, `${flow.id} shared`, flow.shared);
+    for (const [name, definition] of Object.entries(flow.states)) {
+      checkRules(flow, `${flow.id}.${name}`, definition);
+      check(flow, `${flow.id}.${name} fallback`, definition.fallback);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid flow definitions:\n - ${errors.join('\n - ')}`);
+  }
+}
+
+function matchRule(rule, text, ctx) {
+  if (rule.match instanceof RegExp) return text.match(rule.match);
+  if (Array.isArray(rule.match)) {
+    const lower = text.toLowerCase();
+    return rule.match.find(word => lower.includes(word.toLowerCase())) || null;
+  }
+  if (typeof rule.match === 'function') return rule.match(text, ctx) || null;
+  return null;
+}
+
+// Finds the first action that accepts `text`, in priority order
+function resolve(flow, definition, text, ctx) {
+  const ruleSets = definition.isolated ? [definition] : [definition, flow.shared || {}];
+
+  for (const rules of ruleSets) {
+    const action = rules.buttons?.[text];
+    if (action) return { action, match: text };
+  }
+
+  for (const key of ['input', 'keywords']) {
+    for (const rules of ruleSets) {
+      for (const rule of rules[key] || []) {
+        const match = matchRule(rule, text, ctx);
+        if (match) return { action: rule.run, match };
+      }
+    }
+  }
+
+  const fallback = definition.fallback || flow.fallback;
+  return fallback ? { action: fallback, match: null } : null;
+}
+
+// Moves `ctx` into `step` and sends that state's prompt
+async function enter(ctx, flow, step, patch = {}) {
+  const target = qualify(flow.id, step);
+  const entry = states.get(target);
+  if (!entry) throw new Error(`Unknown step "${target}"`);
+
+  ctx.update({ ...patch, step: target });
+  ctx.flow = entry.flow;
+  if (entry.definition.enter) await entry.definition.enter(ctx);
+}
+
+async function run(ctx, flow, action, match) {
+  if (typeof action === 'string') return enter(ctx, flow, action);
+  return action(ctx, match);
+}
+
+// Routes one inbound text through the conversation's current state and
+// returns the new state for the caller to persist.
+export async function dispatch({ sock, from, msg, text, state }) {
+  const ctx = {
+    sock,
+    from,
+    msg,
+    text,
+    state,
+    send: content => sock.sendMessage(from, content),
+    render: menu => sendMenu(ctx, menu),
+    t: (key, vars) => t(ctx.state.lang, key, vars),
+    localize: value => localize(value, ctx.state.lang),
+    update: patch => {
+      ctx.state = { ...ctx.state, ...patch };
+      return ctx.state;
+    },
+    go: (step, patch) => enter(ctx, ctx.flow, step, patch),
+    track: (type, details) => {
+      if (!ctx.state.session) ctx.update({ session: newSessionId() });
+      recordEvent(type, from, { session: ctx.state.session, ...details });
+    }
+  };
+
+  const current = states.get(state.step);
+
+  // New conversations (and steps removed since they were stored) start at the entry state
+  if (!current) {
+    const [flowId] = entryStep.split('.');
+    ctx.flow = flows.get(flowId);
+    await enter(ctx, ctx.flow, entryStep);
+    return ctx.state;
+  }
+
+  ctx.flow = current.flow;
+  const resolved = resolve(current.flow, current.definition, text, ctx);
+  if (resolved) {
+    await run(ctx, current.flow, resolved.action, resolved.match);
+  }
+  return ctx.state;
+}
@@ -0,0 +1,154 @@
+import { defineFlow } from './engine.js';
+import { optionRows, serviceFlowNavigation } from './steps.js';
+import { getCatalog } from '../catalog.js';
+import { priceEstimate, saveEstimate, formatPrice } from '../estimates.js';
+import { getConfig } from '../config.js';
+import { getLogger } from '../logger.js';
+
+// "Estimate Price" questionnaire for services with estimate rules (see estimates.js).
+// state.estimate = { serviceId, index, answers } where `index` is the question being
+// asked and `answers` are keyed by question id: a number, the chosen option's index,
+// or a list of indexes for questions that take several options.
+// The result is saved and goes with the customer's next quote request for the service.
+
+const log = getLogger('flow');
+
+export function hasEstimate(service) {
+  return Boolean(service?.estimate);
+}
+
+export async function startEstimate(ctx, serviceId) {
+  const service = getCatalog().services[serviceId];
+  log.info(`🧮 Estimate started for ${serviceId}`);
+  ctx.track('estimate_start', { serviceId, category: service?.category });
+  await ctx.go('estimate.question', { estimate: { serviceId, index: 0, answers: {} } });
+}
+
+// → [service, question]; the question is missing when the catalog changed meanwhile
+function current(ctx) {
+  const { serviceId, index } = ctx.state.estimate;
+  const service = getCatalog().services[serviceId];
+  return [service, service?.estimate?.questions[index]];
+}
+
+const { leave, goBack, goHome } = serviceFlowNavigation('estimate', {
+  stopped: 'estimate.cancelled',
+  previous: ctx => {
+    const { index } = ctx.state.estimate;
+    return index > 0 ? { step: 'question', update: { estimate: { ...ctx.state.estimate, index: index - 1 } } } : null;
+  }
+});
+
+function hint(ctx, question) {
+  if (!question.options) return ctx.t('estimate.numberHint', { min: question.min, max: question.max });
+  return question.multiple ? ctx.t('estimate.severalHint') : null;
+}
+
+async function sendQuestion(ctx) {
+  const [service, question] = current(ctx);
+  if (!question) return leave(ctx);
+
+  const { index } = ctx.state.estimate;
+  const step = `*${ctx.t('estimate.title')}* (${index + 1}/${service.estimate.questions.length})`;
+  await ctx.render({
+    text: `${step}\n\n${ctx.localize(question.prompt)}`,
+    sections: question.options ? optionRows(question.options.map(option => ctx.localize(option.label))) : [],
+    footer: [hint(ctx, question), ctx.t('form.hint')].filter(Boolean).join('\n'),
+    // Up to three options become the buttons themselves; back and cancel are then typed
+    actions: question.options?.length <= 3 ? [] : [
+      ...(index > 0 ? [{ id: 'estimate_back', title: ctx.t('button.back') }] : []),
+      { id: 'estimate_cancel', title: ctx.t('button.cancel') }
+    ]
+  });
+}
+
+// → { value } | { error: localeKey, vars }
+function readAnswer(question, text, ctx) {
+  const count = question.options?.length;
+
+  if (!question.options) {
+    const value = /^\d+$/.test(text) ? parseInt(text) : NaN;
+    if (value >= question.min && value <= question.max) return { value };
+    return { error: 'estimate.pickNumber', vars: { min: question.min, max: question.max } };
+  }
+
+  // "1, 3", "1 3" or "0" for none
+  if (question.multiple) {
+    if (/^(0|none|no)$/i.test(text)) return { value: [] };
+    const picks = text.split(/[\s,]+/).filter(Boolean);
+    if (picks.every(pick => /^\d+$/.test(pick) && pick >= 1 && pick <= count)) {
+      return { value: [...new Set(picks.map(pick => parseInt(pick) - 1))].sort((a, b) => a - b) };
+    }
+    return { error: 'estimate.pickSeveral', vars: { count } };
+  }
+
+  const number = parseInt(text);
+  if (/^\d+$/.test(text) && number >= 1 && number <= count) return { value: number - 1 };
+  const exact = question.options.findIndex(option => ctx.localize(option.label).toLowerCase() === text.toLowerCase());
+  return exact >= 0 ? { value: exact } : { error: 'form.pickNumber', vars: { count } };
+}
+
+async function answer(ctx) {
+  const [service, question] = current(ctx);
+  if (!question) return leave(ctx);
+
+  const text = ctx.text.trim();
+  const result = text ? readAnswer(question, text, ctx) : { error: 'form.textOnly' };
+  if (result.error) {
+    await ctx.send({ text: `⚠️ ${ctx.t(result.error, result.vars)}` });
+    return;
+  }
+
+  const { index, answers } = ctx.state.estimate;
+  const estimate = { ...ctx.state.estimate, index: index + 1, answers: { ...answers, [question.id]: result.value } };
+  if (estimate.index < service.estimate.questions.length) return ctx.go('question', { estimate });
+
+  ctx.update({ estimate });
+  await sendEstimate(ctx, service);
+}
+
+async function sendEstimate(ctx, service) {
+  const { answers } = ctx.state.estimate;
+  const lang = ctx.state.lang || 'en';
+  const { items, price, weeks } = priceEstimate(service, answers, lang);
+  const saved = saveEstimate({ jid: ctx.from, service, answers, lang });
+  ctx.track('estimate_made', { serviceId: service.id, category: service.category, reference: saved.reference });
+
+  const lines = items.map(item => `• ${item.text}: ${item.price[1] > 0 ? formatPrice(item.price) : ctx.t('estimate.included')}`);
+  await ctx.render({
+    text: [
+      ctx.t('estimate.heading', { service: ctx.localize(service.title) }),
+      lines.join('\n'),
+      ctx.t('estimate.total', {
+        price: formatPrice(price),
+        weeks: weeks[0] === weeks[1] ? weeks[0] : `${weeks[0]}–${weeks[1]}`,
+        reference: saved.reference
+      }),
+      ctx.t('estimate.disclaimer', { days: getConfig().estimates.validDays })
+    ].join('\n\n'),
+    actions: [
+      { id: `quote_${service.id}`, title: ctx.t('button.requestQuote'), keyword: 'quote' },
+      { id: 'back_to_welcome', title: ctx.t('button.mainMenu'), keyword: 'menu' }
+    ]
+  });
+  ctx.update({ step: 'menu.service', service: service.id, estimate: null });
+}
+
+export const estimateFlow = defineFlow({
+  id: 'estimate',
+  states: {
+    question: {
+      enter: sendQuestion,
+      buttons: {
+        estimate_back: goBack,
+        estimate_cancel: leave
+      },
+      input: [
+        { match: /^back$/i, run: goBack },
+        { match: /^cancel$/i, run: leave },
+        { match: /^(menu|home)$/i, run: goHome }
+      ],
+      fallback: answer
+    }
+  }
+});
@@ -0,0 +1,145 @@
+import { defineFlow } from './engine.js';
+import { optionRows } from './steps.js';
+
+// Builds a flow that asks `fields` one at a time, then shows a summary to confirm.
+// Each field: {
+//   key, prompt, label          – prompt and label are locale keys
+//   minLength?, maxLength?      – length checks for free-text answers
+//   validate?(text)             – → { value } | { error: localeKey, vars? }
+//   options?: [localeKey]       – pick one by number; the chosen key is stored
+// }
+// Answers live in state.form.answers until the form is submitted or cancelled.
+// Files the customer sends meanwhile are listed in state.form.attachments (see handler.js).
+// Users can type or tap "back" to revisit the previous question and "cancel" to leave.
+
+function pickOption(options, text, ctx) {
+  const number = parseInt(text);
+  if (/^\d+$/.test(text) && options[number - 1]) return { value: options[number - 1] };
+
+  const exact = options.find(option => ctx.t(option).toLowerCase() === text.toLowerCase());
+  if (exact) return { value: exact };
+
+  return { error: 'form.pickNumber', vars: { count: options.length } };
+}
+
+function checkAnswer(field, text, ctx) {
+  if (!text) return { error: 'form.textOnly' };
+  if (field.options) return pickOption(field.options, text, ctx);
+
+  const label = field.label ? ctx.t(field.label) : '';
+  if (field.minLength && text.length < field.minLength) {
+    return { error: 'form.tooShort', vars: { field: label, min: field.minLength } };
+  }
+  if (field.maxLength && text.length > field.maxLength) {
+    return { error: 'form.tooLong', vars: { field: label, max: field.maxLength } };
+  }
+  return field.validate ? field.validate(text, ctx) : { value: text };
+}
+
+export function startForm(ctx, flowId, context = {}) {
+  return ctx.go(`${flowId}.start`, {
+    form: { answers: {}, context, startedAt: new Date().toISOString() }
+  });
+}
+
+export function defineForm({ id, title, fields, summary, submit, cancel }) {
+  const ids = {
+    back: `${id}_back`,
+    cancel: `${id}_cancel`,
+    submit: `${id}_submit`
+  };
+
+  // The hint under every question already tells text-only clients to type back/cancel
+  const navigation = (ctx, index, extra = []) => [
+    ...extra,
+    ...(index > 0 ? [{ id: ids.back, title: ctx.t('button.back') }] : []),
+    { id: ids.cancel, title: ctx.t('button.cancel') }
+  ];
+
+  const stepOf = index => (index < fields.length ? fields[index].key : 'confirm');
+
+  async function goBack(ctx, index) {
+    if (index === 0) return;
+    await ctx.go(stepOf(index - 1));
+  }
+
+  async function leave(ctx) {
+    const form = ctx.state.form;
+    ctx.update({ form: null });
+    await cancel(ctx, form);
+  }
+
+  async function finish(ctx) {
+    const form = ctx.state.form;
+    ctx.update({ form: null });
+    await submit(ctx, form);
+  }
+
+  const states = {
+    // Entry point so callers don't need to know the first field
+    start: {
+      enter: ctx => ctx.go(stepOf(0))
+    }
+  };
+
+  fields.forEach((field, index) => {
+    states[field.key] = {
+      isolated: true,
+      enter: async ctx => {
+        const step = `*${ctx.t(title)}* (${index + 1}/${fields.length})`;
+        await ctx.render({
+          text: `${step}\n\n${ctx.t(field.prompt)}`,
+          sections: field.options ? optionRows(field.options.map(option => ctx.t(option))) : [],
+          footer: ctx.t('form.hint'),
+          actions: navigation(ctx, index)
+        });
+      },
+      buttons: {
+        [ids.back]: ctx => goBack(ctx, index),
+        [ids.cancel]: leave
+      },
+      input: [
+        { match: /^back$/i, run: ctx => goBack(ctx, index) },
+        { match: /^cancel$/i, run: leave }
+      ],
+      fallback: async ctx => {
+        const result = checkAnswer(field, ctx.text.trim(), ctx);
+        if (result.error) {
+          await ctx.send({ text: `⚠️ ${ctx.t(result.error, result.vars)}` });
+          return;
+        }
+
+        const form = ctx.state.form;
+        ctx.update({ form: { ...form, answers: { ...form.answers, [field.key]: result.value } } });
+        await ctx.go(stepOf(index + 1));
+      }
+    };
+  });
+
+  states.confirm = {
+    isolated: true,
+    enter: async ctx => {
+      await ctx.render({
+        title: ctx.t(title),
+        text: summary(ctx, ctx.state.form),
+        footer: ctx.t('form.confirmHint'),
+        actions: navigation(ctx, fields.length, [{ id: ids.submit, title: ctx.t('button.submit') }])
+      });
+    },
+    buttons: {
+      [ids.submit]: finish,
+      [ids.back]: ctx => goBack(ctx, fields.length),
+      [ids.cancel]: leave
+    },
+    input: [
+      { match: /^(submit|send|yes)$/i, run: finish },
+      { match: /^back$/i, run: ctx => goBack(ctx, fields.length) },
+      { match: /^cancel$/i, run: leave }
+    ],
+    fallback: async ctx => {
+      await ctx.send({ text: ctx.t('form.confirmInvalid') });
+    }
+  };
+
+  return defineFlow({ id, states });
+}
@@ -0,0 +1,11 @@
+// Registers every conversation flow. Add new flow modules here.
+import { validateFlows } from './engine.js';
+import './language.js';
+import './menu.js';
+import './quote.js';
+import './booking.js';
+import './estimate.js';
+
+validateFlows();
+
+export { dispatch } from './engine.js';
@@ -0,0 +1,63 @@
+import { defineFlow } from './engine.js';
+import { getLanguages, isLanguage, t } from '../i18n.js';
+import { getLogger } from '../logger.js';
+
+// Language picker: shown on first contact and whenever the customer types "lang".
+// The choice is stored as state.lang and survives idle resets.
+
+const log = getLogger('flow');
+
+function languageAt(text) {
+  const languages = getLanguages();
+  if (/^\d+$/.test(text)) return languages[parseInt(text) - 1] || null;
+
+  const code = text.match(/^lang_(\w+)$/)?.[1] || text.toLowerCase();
+  if (isLanguage(code)) return code;
+
+  // Typed language name, e.g. "English" or "தமிழ்"
+  return languages.find(lang => t(lang, 'language.name').toLowerCase() === text.toLowerCase()) || null;
+}
+
+async function sendPicker(ctx) {
+  const languages = getLanguages();
+  const prompts = languages.map(lang => `🌐 ${t(lang, 'language.choose')}`).join('\n');
+
+  await ctx.render({
+    text: prompts,
+    sections: [{ rows: languages.map(lang => ({ id: `lang_${lang}`, title: t(lang, 'language.name') })) }]
+  });
+}
+
+export const languageFlow = defineFlow({
+  id: 'language',
+  entry: true,
+  start: 'start',
+  states: {
+    // First contact: skip the picker when the language is already known or there is no choice
+    start: {
+      enter: async ctx => {
+        const languages = getLanguages();
+        if (!isLanguage(ctx.state.lang) && languages.length > 1) return ctx.go('pick');
+
+        if (!isLanguage(ctx.state.lang)) ctx.update({ lang: languages[0] });
+        await ctx.go('menu.welcome');
+      }
+    },
+    pick: {
+      isolated: true,
+      enter: sendPicker,
+      input: [
+        {
+          match: text => languageAt(text),
+          run: async (ctx, lang) => {
+            log.info(`🌐 Language set to ${lang}`);
+            ctx.update({ lang });
+            await ctx.send({ text: ctx.t('language.changed') });
+            await ctx.go('menu.welcome', { page: 1, company: null, service: null });
+          }
+        }
+      ],
+      fallback: sendPicker
+    }
+  }
+});
@@ -0,0 +1,377 @@
+import { defineFlow } from './engine.js';
+import { startForm } from './form.js';
+import { isBookable, startBooking, listMyBookings, startReschedule, cancelMyBooking } from './booking.js';
+import { hasEstimate, startEstimate } from './estimate.js';
+import { getCatalog, getCategory, numberEmoji } from '../catalog.js';
+import { agentJid, openHandoff } from '../handoff.js';
+import { getLanguages, localize } from '../i18n.js';
+import { matchIntent, matchCategory } from '../intent.js';
+import { closedNotice } from '../hours.js';
+import { latestEstimate } from '../estimates.js';
+import { sendServiceMedia } from '../media.js';
+import { getLogger } from '../logger.js';
+
+// Main menu: welcome → category pages → service details.
+// Welcome buttons use `category_<id>` so a tap on an old welcome message can never be
+// read as a service number typed inside a category menu.
+// Free text that no rule understands is matched against the catalog (see intent.js)
+// and answered with the closest services.
+
+const log = getLogger('flow');
+
+function goHome(ctx) {
+  return ctx.go('welcome', { page: 1, company: null, service: null });
+}
+
+async function openCategory(ctx, categoryId) {
+  const category = getCategory(categoryId);
+  if (!category) return goHome(ctx);
+
+  log.info(`🚀 ${localize(category.name, 'en')} selected`);
+  await ctx.go('category', { company: category.id, page: 1, service: null });
+}
+
+async function openService(ctx, serviceId) {
+  log.info(`🔧 Service selected: ${serviceId}`);
+  const service = getCatalog().services[serviceId];
+  await ctx.go('service', { service: serviceId, company: service?.category ?? ctx.state.company });
+}
+
+function startQuote(ctx, serviceId) {
+  log.info(`📝 Quote requested for ${serviceId}`);
+  ctx.track('quote_start', { serviceId, category: getCatalog().services[serviceId]?.category });
+  // The customer's latest price estimate for the service goes with the request
+  const estimate = latestEstimate(ctx.from, serviceId);
+  return startForm(ctx, 'quote', {
+    serviceId,
+    ...(estimate && { estimate: { reference: estimate.reference, price: estimate.price } })
+  });
+}
+
+function bookService(ctx, serviceId) {
+  const service = getCatalog().services[serviceId];
+  if (!isBookable(service)) return openService(ctx, serviceId);
+  return startBooking(ctx, { serviceId, company: service.category });
+}
+
+function estimateService(ctx, serviceId) {
+  if (!hasEstimate(getCatalog().services[serviceId])) return openService(ctx, serviceId);
+  return startEstimate(ctx, serviceId);
+}
+
+// The catalog service a button ID is for: the service key itself, or `prefix` and the
+// key for the service page buttons. Any key the catalog accepts works, not only serviceN.
+function serviceButton(prefix = '') {
+  return text => {
+    const serviceId = text.startsWith(prefix) && text.slice(prefix.length);
+    return serviceId && Object.hasOwn(getCatalog().services, serviceId) ? serviceId : null;
+  };
+}
+
+// Handle number selection (1, 2, 3, etc.) inside the current category
+async function selectServiceByNumber(ctx, match) {
+  const number = parseInt(match[0]);
+  log.debug(`🔢 Processing number selection: ${number} for ${ctx.state.company}`);
+
+  const category = getCategory(ctx.state.company);
+  if (!category) return goHome(ctx);
+
+  const serviceId = category.services[number - 1];
+  if (serviceId) {
+    await openService(ctx, serviceId);
+  } else {
+    await ctx.go('category');
+  }
+}
+
+// Numbers typed after a list of suggestions refer to that list
+async function selectSuggestion(ctx, match) {
+  const services = ctx.state.suggestions?.services || [];
+  const serviceId = services[parseInt(match[0]) - 1];
+  if (!serviceId) return services.length > 0 ? ctx.go('suggestions') : goHome(ctx);
+  await openService(ctx, serviceId);
+}
+
+async function suggestServices(ctx) {
+  const intent = matchIntent(ctx.text);
+  if (!intent) {
+    log.info(`🔄 Random message, showing welcome menu`);
+    return goHome(ctx);
+  }
+
+  const services = intent.matches.map(match => match.serviceId);
+  log.info(`🔎 "${ctx.text}" matched ${services.join(', ')}${intent.confident ? '' : ' (low confidence)'}`);
+  await ctx.go('suggestions', { suggestions: { services, confident: intent.confident } });
+}
+
+// The renderer clamps the page, since how many there are depends on the render mode
+function changePage(delta) {
+  return async ctx => {
+    const category = getCategory(ctx.state.company);
+    if (!category) return goHome(ctx);
+
+    const page = Math.max(ctx.state.page + delta, 1);
+    if (delta < 0 && page === ctx.state.page) return;
+
+    log.debug(delta > 0 ? `➡️ Next page requested` : `⬅️ Previous page requested`);
+    ctx.track('page_nav', { category: category.id, direction: delta > 0 ? 'next' : 'prev' });
+    await ctx.go('category', { page });
+  };
+}
+
+async function sendContactInfo(ctx) {
+  log.info(`📞 Contact info requested`);
+  ctx.track('contact_request');
+  await ctx.render({
+    text: formatContactInfo(ctx, getCatalog()),
+    actions: [
+      ...(agentJid() ? [{ id: 'talk_to_agent', title: ctx.t('button.talkToAgent'), keyword: 'agent' }] : []),
+      mainMenuAction(ctx)
+    ]
+  });
+}
+
+function mainMenuAction(ctx) {
+  return { id: 'back_to_welcome', title: ctx.t('button.mainMenu'), keyword: 'menu' };
+}
+
+async function talkToAgent(ctx) {
+  // Without an agent number the best we can do is share the hotlines
+  if (!agentJid()) return sendContactInfo(ctx);
+
+  const service = getCatalog().services[ctx.state.service];
+  const handoff = await openHandoff(ctx.sock, ctx.from, { topic: localize(service?.title, 'en') });
+  await ctx.send({ text: ctx.t('handoff.connecting', { ticket: handoff.ticket }) });
+}
+
+export const menuFlow = defineFlow({
+  id: 'menu',
+  start: 'welcome',
+  states: {
+    welcome: {
+      enter: sendWelcomeMenu,
+      input: [
+        {
+          match: text => /^\d+$/.test(text) && getCatalog().categories.find(c => String(c.number) === text),
+          run: (ctx, category) => openCategory(ctx, category.id)
+        }
+      ]
+    },
+    category: {
+      enter: sendCategoryMenu,
+      input: [{ match: /^\d+$/, run: selectServiceByNumber }]
+    },
+    service: {
+      enter: handleServiceSelection,
+      input: [
+        { match: /^\d+$/, run: selectServiceByNumber },
+        { match: /^quote$/i, run: ctx => ctx.state.service && startQuote(ctx, ctx.state.service) },
+        { match: /^book$/i, run: ctx => ctx.state.service && bookService(ctx, ctx.state.service) },
+        { match: /^(estimate|price|how much\??)$/i, run: ctx => ctx.state.service && estimateService(ctx, ctx.state.service) }
+      ]
+    },
+    suggestions: {
+      enter: sendSuggestions,
+      input: [{ match: /^\d+$/, run: selectSuggestion }]
+    }
+  },
+  shared: {
+    buttons: {
+      back_to_welcome: async ctx => {
+        log.debug(`🏠 Back to main menu`);
+        await goHome(ctx);
+      },
+      // Page buttons on an earlier category message keep working from the details view
+      next_page: changePage(1),
+      prev_page: changePage(-1),
+      contact_info: sendContactInfo,
+      talk_to_agent: talkToAgent
+    },
+    input: [
+      { match: /^(lang|language|භාෂාව|மொழி)$/i, run: 'language.pick' },
+      // Typed stand-ins for the buttons, listed when menus are sent as plain text
+      { match: /^(menu|home)$/i, run: goHome },
+      { match: /^contact$/i, run: sendContactInfo },
+      // The whole message only: "website for my travel agent business" is a service request
+      { match: /^(agent|human|real person|talk to (an )?agent)$/i, run: talkToAgent },
+      { match: /^next$/i, run: changePage(1) },
+      { match: /^(prev|previous)$/i, run: changePage(-1) },
+      { match: /^category_(.+)$/, run: (ctx, match) => openCategory(ctx, match[1]) },
+      { match: serviceButton(), run: openService },
+      { match: serviceButton('book_'), run: bookService },
+      { match: serviceButton('estimate_'), run: estimateService },
+      { match: serviceButton('quote_'), run: startQuote },
+      { match: /^(bookings|my bookings|appointments)$/i, run: listMyBookings },
+      { match: /^reschedule(?:\s+(\S+))?$/i, run: (ctx, match) => startReschedule(ctx, match[1]) },
+      { match: /^cancel booking(?:\s+(\S+))?$/i, run: (ctx, match) => cancelMyBooking(ctx, match[1]) }
+    ],
+    keywords: [
+      {
+        // "software", "digital works", ... on their own open the category
+        match: text => matchCategory(text),
+        run: (ctx, category) => openCategory(ctx, category.id)
+      }
+    ]
+  },
+  fallback: suggestServices
+});
+
+// Welcome Menu Function
+async function sendWelcomeMenu(ctx) {
+  try {
+    log.debug(`📤 Sending welcome menu...`);
+    
+    const { welcome, categories } = getCatalog();
+    const l = ctx.localize;
+    const languageHint = getLanguages().length > 1 ? `\n\n${ctx.t('language.hint')}` : '';
+
+    await ctx.render({
+      text: `${l(welcome.title)}\n\n` +
+            `${l(welcome.intro)}\n\n` +
+            l(welcome.prompt),
+      sections: [{
+        rows: categories.map(c => ({
+          id: `category_${c.id}`,
+          title: l(c.name),
+          button: l(c.button),
+          description: c.summary.map(l),
+          number: c.number
+        }))
+      }],
+      footer: l(welcome.footer) + languageHint,
+      actions: [{ id: 'contact_info', title: ctx.t('button.contactInfo'), keyword: 'contact' }]
+    });
+    
+    ctx.track('menu_view', { menu: 'welcome' });
+    log.debug(`✅ Welcome menu sent successfully`);
+  } catch (error) {
+    log.error({ err: error }, `❌ Error sending welcome menu`);
+  }
+}
+
+// Category Menu (one section per catalog page)
+async function sendCategoryMenu(ctx) {
+  try {
+    const catalog = getCatalog();
+    const category = getCategory(ctx.state.company);
+
+    await ctx.render({
+      title: `${category.icon} ${ctx.localize(category.name)}`,
+      text: ctx.t('menu.selectService'),
+      sections: category.pages.map(ids => ({
+        rows: ids.map(id => catalog.services[id]).map(s => ({
+          id: s.id,
+          title: ctx.localize(s.title),
+          number: s.number
+        }))
+      })),
+      paged: true,
+      actions: [
+        mainMenuAction(ctx),
+        { id: 'contact_info', title: ctx.t('button.contact'), keyword: 'contact' }
+      ]
+    });
+    
+    ctx.track('menu_view', { menu: 'category', category: category.id, page: ctx.state.page });
+    log.debug(`✅ ${category.id} menu page ${ctx.state.page} sent`);
+  } catch (error) {
+    log.error({ err: error }, `❌ Error sending category menu`);
+  }
+}
+
+// Closest services to what the customer typed
+async function sendSuggestions(ctx) {
+  try {
+    const { services: serviceIds, confident } = ctx.state.suggestions;
+    const services = serviceIds.map(id => getCatalog().services[id]).filter(Boolean);
+    if (services.length === 0) return goHome(ctx); // catalog changed since the match
+
+    await ctx.render({
+      text: ctx.t(confident ? 'intent.matches' : 'intent.clarify'),
+      sections: [{ rows: services.map(s => ({ id: s.id, title: ctx.localize(s.title) })) }],
+      footer: ctx.t('intent.pick') + (confident ? '' : `\n${ctx.t('intent.more')}`),
+      actions: [mainMenuAction(ctx)]
+    });
+
+    ctx.track('menu_view', { menu: 'suggestions' });
+    log.debug(`✅ Suggestions sent: ${serviceIds.join(', ')}`);
+  } catch (error) {
+    log.error({ err: error }, `❌ Error sending suggestions`);
+  }
+}
+
+// Also used for /contact in groups, with a ctx that only has state.lang, t and localize
+export function formatContactInfo(ctx, catalog) {
+  const blocks = catalog.categories.map(c => [
+    `*${ctx.localize(c.name)}:*`,
+    ctx.t('contact.hotline', { hotline: c.hotline }),
+    ctx.t('contact.email', { email: c.email }),
+    closedNotice(c.id, ctx.state.lang, 'hours.closedContact')
+  ].filter(Boolean).join('\n'));
+  return `${ctx.localize(catalog.contact.title)}\n\n${blocks.join('\n\n')}`;
+}
+
+function formatServiceDetails(ctx, catalog, service) {
+  const l = ctx.localize;
+  const category = catalog.categories.find(c => c.id === service.category);
+  const sections = [
+    `*${numberEmoji(service.number)} ${l(service.heading)}*`,
+    service.highlights.map(h => `*${l(h)}*`).join('\n')
+  ];
+
+  if (service.notes.length > 0) {
+    sections.push(service.notes.map(l).join('\n'));
+  }
+
+  sections.push(
+    `${ctx.t('service.contact', { hotline: category.hotline })}\n` +
+    ctx.t('service.email', { email: category.email })
+  );
+
+  const closed = closedNotice(category.id, ctx.state.lang);
+  if (closed) sections.push(closed);
+  return sections.join('\n\n');
+}
+
+function formatMissingService(ctx, catalog) {
+  const hotlines = catalog.categories.map(c => `${ctx.localize(c.name)}: ${c.hotline}`).join('\n');
+  return `${ctx.t('service.missingTitle')}\n\n${ctx.t('service.missing')}\n\n` +
+         `${ctx.t('service.contactHeading')}\n${hotlines}\n${ctx.t('service.email', { email: catalog.contact.email })}`;
+}
+
+// Handle Service Selection Details
+async function handleServiceSelection(ctx) {
+  const serviceId = ctx.state.service;
+  try {
+    log.debug(`🔍 Showing details for: ${serviceId}`);
+    
+    const catalog = getCatalog();
+    const service = catalog.services[serviceId];
+    const details = service
+      ? formatServiceDetails(ctx, catalog, service)
+      : formatMissingService(ctx, catalog);
+
+    if (service) await sendServiceMedia(ctx, service);
+    // WhatsApp shows three buttons at most: Request Quote and Main Menu always stay, and
+    // the third is Book, Estimate Price or More Info, whichever comes first (the others
+    // can still be typed)
+    const [shortcut] = [
+      ...(isBookable(service) ? [{ id: `book_${serviceId}`, title: ctx.t('button.book'), keyword: 'book' }] : []),
+      ...(hasEstimate(service) ? [{ id: `estimate_${serviceId}`, title: ctx.t('button.estimate'), keyword: 'estimate' }] : [])
+    ];
+    await ctx.render({
+      text: details,
+      actions: [
+        ...(shortcut ? [shortcut] : []),
+        ...(service ? [{ id: `quote_${serviceId}`, title: ctx.t('button.requestQuote'), keyword: 'quote' }] : []),
+        mainMenuAction(ctx),
+        ...(shortcut ? [] : [{ id: 'contact_info', title: ctx.t('button.moreInfo'), keyword: 'contact' }])
+      ]
+    });
+    
+    if (service) ctx.track('service_view', { serviceId, category: service.category });
+    log.debug(`✅ Service details sent for ${serviceId}`);
+  } catch (error) {
+    log.error({ err: error }, `❌ Error sending service details`);
+  }
+}
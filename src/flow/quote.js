@@ -0,0 +1,129 @@
+import { defineForm } from './form.js';
+import { getCatalog } from '../catalog.js';
+import { appendLead } from '../leads.js';
+import { queueLead } from '../leadQueue.js';
+import { isOpen, nextOpening, closedNotice } from '../hours.js';
+import { formatPrice } from '../estimates.js';
+import { t, localize } from '../i18n.js';
+import { getLogger } from '../logger.js';
+
+// "Request a Quote" form offered under every service detail message.
+// Budget and timeline answers are locale keys; leads are saved in English.
+// form.context = { serviceId, estimate? } where `estimate` is the customer's latest
+// price estimate for the service (see menu.js).
+
+const log = getLogger('flow');
+
+export const BUDGETS = ['quote.budget.1', 'quote.budget.2', 'quote.budget.3', 'quote.budget.4', 'quote.budget.5'];
+
+export const TIMELINES = ['quote.timeline.1', 'quote.timeline.2', 'quote.timeline.3', 'quote.timeline.4'];
+
+function serviceTitle(serviceId, lang) {
+  return localize(getCatalog().services[serviceId]?.title, lang) || serviceId;
+}
+
+export const quoteFlow = defineForm({
+  id: 'quote',
+  title: 'quote.title',
+  fields: [
+    {
+      key: 'name',
+      prompt: 'quote.name.prompt',
+      label: 'quote.name.label',
+      minLength: 2,
+      maxLength: 60,
+      validate: text => (/\p{L}/u.test(text) ? { value: text } : { error: 'quote.name.letters' })
+    },
+    {
+      key: 'company',
+      prompt: 'quote.company.prompt',
+      label: 'quote.company.label',
+      minLength: 2,
+      maxLength: 80,
+      // null = personal project
+      validate: text => ({ value: /^(none|no|n\/a)$/i.test(text) ? null : text })
+    },
+    {
+      key: 'budget',
+      prompt: 'quote.budget.prompt',
+      options: BUDGETS
+    },
+    {
+      key: 'timeline',
+      prompt: 'quote.timeline.prompt',
+      options: TIMELINES
+    },
+    {
+      key: 'description',
+      prompt: 'quote.description.prompt',
+      label: 'quote.description.label',
+      minLength: 15,
+      maxLength: 1000
+    }
+  ],
+
+  summary: (ctx, { answers, context }) => {
+    const summary = ctx.t('quote.summary', {
+      service: serviceTitle(context.serviceId, ctx.state.lang),
+      name: answers.name,
+      company: answers.company ?? ctx.t('quote.company.none'),
+      budget: ctx.t(answers.budget),
+      timeline: ctx.t(answers.timeline),
+      description: answers.description
+    });
+    if (!context.estimate) return summary;
+    const { reference, price } = context.estimate;
+    return `${summary}\n${ctx.t('quote.estimate', { price: formatPrice(price), reference })}`;
+  },
+
+  submit: async (ctx, { answers, context, startedAt, attachments = [] }) => {
+    const catalog = getCatalog();
+    const service = catalog.services[context.serviceId];
+    const category = catalog.categories.find(c => c.id === service?.category) || catalog.categories[0];
+    // Outside business hours the lead waits for the company's next opening
+    const followUpAt = isOpen(category.id) ? undefined : nextOpening(category.id)?.toISOString();
+
+    const lead = appendLead({
+      serviceId: context.serviceId,
+      service: serviceTitle(context.serviceId, 'en'),
+      jid: ctx.from,
+      name: answers.name,
+      company: answers.company ?? t('en', 'quote.company.none'),
+      budget: t('en', answers.budget),
+      timeline: t('en', answers.timeline),
+      description: answers.description,
+      lang: ctx.state.lang || 'en',
+      startedAt,
+      followUpAt,
+      // Inbox item IDs sent while the form was open (see inbox.js)
+      ...(attachments.length > 0 && { attachments }),
+      // { reference, price } of the price estimate made before (see estimates.js)
+      ...(context.estimate && { estimate: context.estimate })
+    });
+    log.info(`📝 Lead ${lead.reference} saved for ${context.serviceId}`);
+    ctx.track('lead_submitted', { serviceId: context.serviceId, category: service?.category, reference: lead.reference });
+    if (followUpAt) {
+      await queueLead(lead);
+      log.info(`🌙 Lead ${lead.reference} queued until ${followUpAt}`);
+    }
+    const queued = closedNotice(category.id, ctx.state.lang, 'hours.queued');
+
+    const thanks = ctx.t('quote.thanks', {
+      name: answers.name,
+      service: serviceTitle(context.serviceId, ctx.state.lang),
+      reference: lead.reference,
+      hotline: category.hotline,
+      email: category.email
+    });
+    await ctx.render({
+      text: queued ? `${thanks}\n\n${queued}` : thanks,
+      actions: [{ id: 'back_to_welcome', title: ctx.t('button.mainMenu'), keyword: 'menu' }]
+    });
+    ctx.update({ step: 'menu.service', service: context.serviceId });
+  },
+
+  cancel: async (ctx, form) => {
+    await ctx.send({ text: ctx.t('quote.cancelled') });
+    await ctx.go('menu.service', { service: form?.context.serviceId ?? ctx.state.service });
+  }
+});
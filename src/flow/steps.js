@@ -0,0 +1,29 @@
+// Helpers for the flows that ask one thing at a time (forms, estimates, bookings).
+
+// Options as list rows. Row IDs are the option numbers, so a tapped row reads like a
+// typed answer.
+export function optionRows(titles) {
+  return [{ rows: titles.map((title, n) => ({ id: String(n + 1), title })) }];
+}
+
+// Back, cancel and home for a flow started from a service page that keeps its progress
+// in state[key] (with the serviceId). Cancelling says `stopped` (a locale key) and
+// returns to the service. `previous(ctx)` → { step, update? } to go back to, or null on
+// the first step, where back cancels.
+export function serviceFlowNavigation(key, { stopped, previous }) {
+  async function leave(ctx) {
+    await ctx.send({ text: ctx.t(stopped) });
+    await ctx.go('menu.service', { service: ctx.state[key].serviceId, [key]: null });
+  }
+
+  function goBack(ctx) {
+    const back = previous(ctx);
+    return back ? ctx.go(back.step, back.update) : leave(ctx);
+  }
+
+  function goHome(ctx) {
+    return ctx.go('menu.welcome', { page: 1, company: null, service: null, [key]: null });
+  }
+
+  return { leave, goBack, goHome };
+}
@@ -0,0 +1,180 @@
+import { getConfig } from './config.js';
+import { recordStore } from './store/index.js';
+import { getStateStore, newConversation } from './userState.js';
+import { dispatch } from './flow/index.js';
+import { formatContactInfo } from './flow/menu.js';
+import { getCatalog } from './catalog.js';
+import { closedNotice } from './hours.js';
+import { t, localize, isLanguage } from './i18n.js';
+import { getLogger } from './logger.js';
+
+// Group chats are opt-in. A group is allowed once an owner sends "!group on" in it
+// (or when it is listed in GROUPS); everywhere else the bot stays silent. In allowed
+// groups the bot only reacts when it is mentioned or a message starts with the
+// command prefix ("/menu", "@Bot contact"), and anything with choices is sent to the
+// sender's private chat instead of the group.
+//
+// Per-group settings: { jid, enabled, commands: null (all) | [names], welcome:
+// false | true (default text) | custom text with {names}, lang }.
+
+const log = getLogger('groups');
+
+const GROUP_PREFIX = 'group:';
+
+const store = recordStore(() => getConfig().groups.file);
+
+export function setGroupStore(next) {
+  store.set(next);
+}
+
+export function isGroupJid(jid) {
+  return Boolean(jid?.endsWith('@g.us'));
+}
+
+function defaults(jid) {
+  return { jid, enabled: getConfig().groups.allowed.includes(jid), commands: null, welcome: false, lang: 'en' };
+}
+
+export async function getGroupSettings(jid) {
+  return { ...defaults(jid), ...(await store.get().get(`${GROUP_PREFIX}${jid}`)) };
+}
+
+export async function updateGroupSettings(jid, patch) {
+  const settings = { ...(await getGroupSettings(jid)), ...patch, updatedAt: new Date().toISOString() };
+  await store.get().set(`${GROUP_PREFIX}${jid}`, settings);
+  await store.get().flush();
+  return settings;
+}
+
+// Allowed groups, from GROUPS and the store
+export async function listGroups() {
+  const stored = new Map((await store.get().entries())
+    .filter(([key]) => key.startsWith(GROUP_PREFIX))
+    .map(([, settings]) => [settings.jid, settings]));
+  const jids = new Set([...getConfig().groups.allowed, ...stored.keys()]);
+  return [...jids]
+    .map(jid => ({ ...defaults(jid), ...stored.get(jid) }))
+    .filter(settings => settings.enabled);
+}
+
+function mentionOf(jid) {
+  return `@${jid.split('@')[0].split(':')[0]}`;
+}
+
+// "94771234567:12@s.whatsapp.net" → "94771234567@s.whatsapp.net"
+function bareJid(jid) {
+  const [user, server] = jid.split('@');
+  return `${user.split(':')[0]}@${server}`;
+}
+
+function isBotMentioned(sock, msg) {
+  const mentioned = Object.values(msg.message || {})
+    .flatMap(content => content?.contextInfo?.mentionedJid || [])
+    .map(bareJid);
+  const own = [sock.user?.id, sock.user?.lid].filter(Boolean).map(bareJid);
+  return mentioned.some(jid => own.includes(jid));
+}
+
+const commands = {
+  menu: {
+    // Starts the sender's private conversation at the welcome menu
+    run: async ({ sock, msg, sender, settings, reply }) => {
+      const states = getStateStore();
+      const existing = await states.get(sender);
+      const state = { ...newConversation(), lang: existing?.lang || settings.lang };
+      const next = await dispatch({ sock, from: sender, msg, text: '', state });
+      await states.set(sender, { ...next, lastSeen: Date.now() });
+      await reply('group.menuSent', { user: mentionOf(sender) }, [sender]);
+    }
+  },
+  contact: {
+    run: async ({ lang, reply }) => {
+      const ctx = { state: { lang }, t: (key, vars) => t(lang, key, vars), localize: value => localize(value, lang) };
+      await reply(null, { text: formatContactInfo(ctx, getCatalog()) });
+    }
+  },
+  hours: {
+    run: async ({ lang, reply }) => {
+      const lines = getCatalog().categories.map(category =>
+        `*${localize(category.name, lang)}:* ${closedNotice(category.id, lang, 'hours.closedContact') || t(lang, 'group.open')}`
+      );
+      await reply(null, { text: lines.join('\n') });
+    }
+  },
+  help: {
+    run: async ({ lang, enabled, reply }) => {
+      const { prefix } = getConfig().groups;
+      const lines = enabled.map(name => `*${prefix}${name}* – ${t(lang, `group.command.${name}`)}`);
+      await reply('group.help', { commands: lines.join('\n'), prefix });
+    }
+  }
+};
+
+export const GROUP_COMMANDS = Object.keys(commands);
+
+// "/menu", "@Bot menu" or a bare mention → { name, args }, else null
+export function parseGroupCommand(sock, msg, text) {
+  const { prefix } = getConfig().groups;
+  if (prefix && text.startsWith(prefix)) {
+    const [name = '', ...args] = text.slice(prefix.length).trim().split(/\s+/);
+    return { name: name.toLowerCase(), args: args.join(' ') };
+  }
+  if (!isBotMentioned(sock, msg)) return null;
+
+  const words = text.replace(/@\S+/g, ' ').trim().split(/\s+/).filter(Boolean);
+  const first = (words[0] || '').toLowerCase().replace(prefix, '');
+  return commands[first] ? { name: first, args: words.slice(1).join(' ') } : { name: 'help', args: '' };
+}
+
+// The command a group message asks for, or null when the bot should stay silent
+// (group not allowed, or neither mentioned nor prefixed)
+export async function groupCommandOf(sock, msg, text) {
+  const settings = await getGroupSettings(msg.key.remoteJid);
+  if (!settings.enabled) return null;
+  const command = parseGroupCommand(sock, msg, text);
+  return command && { ...command, settings };
+}
+
+export async function runGroupCommand(sock, msg, sender, { name, args, settings }) {
+  const group = msg.key.remoteJid;
+  const lang = isLanguage(settings.lang) ? settings.lang : 'en';
+  const enabled = GROUP_COMMANDS.filter(name => !settings.commands || settings.commands.includes(name) || name === 'help');
+  const reply = (key, vars, mentions = []) => sock.sendMessage(group, {
+    ...(key ? { text: t(lang, key, vars) } : vars),
+    ...(mentions.length > 0 && { mentions })
+  });
+
+  if (!enabled.includes(name)) {
+    await reply('group.unknown', { command: name, prefix: getConfig().groups.prefix });
+    return;
+  }
+
+  log.info({ jid: sender }, `👥 ${name} in ${group}`);
+  await commands[name].run({ sock, msg, group, sender, settings, lang, enabled, args, reply });
+}
+
+// group-participants.update: greets people who joined an allowed group
+export async function handleGroupParticipants(sock, { id, participants = [], action }) {
+  if (action !== 'add') return;
+  const settings = await getGroupSettings(id);
+  if (!settings.enabled || !settings.welcome) return;
+
+  // Baileys sends plain JIDs or { id } objects depending on the version
+  const own = [sock.user?.id, sock.user?.lid].filter(Boolean).map(bareJid);
+  const joined = participants.map(p => (typeof p === 'string' ? p : p.id)).filter(jid => jid && !own.includes(bareJid(jid)));
+  if (joined.length === 0) return;
+
+  const lang = isLanguage(settings.lang) ? settings.lang : 'en';
+  const names = joined.map(mentionOf).join(', ');
+  const vars = { names, prefix: getConfig().groups.prefix };
+  const text = typeof settings.welcome === 'string'
+    ? settings.welcome.replace(/\{(\w+)\}/g, (match, name) => vars[name] ?? match)
+    : t(lang, 'group.welcome', vars);
+
+  try {
+    await sock.sendMessage(id, { text, mentions: joined });
+    log.info(`👋 Welcomed ${joined.length} new member(s) in ${id}`);
+  } catch (error) {
+    log.error({ err: error }, `❌ Could not welcome new members in ${id}`);
+  }
+}
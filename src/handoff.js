@@ -0,0 +1,195 @@
+import { getConfig } from './config.js';
+import { recordStore } from './store/index.js';
+import { toJid, phoneOf } from './jid.js';
+import { getStateStore } from './userState.js';
+import { t } from './i18n.js';
+import { getLogger } from './logger.js';
+
+// Human agent handoff. While a conversation is handed off the bot stops answering
+// that JID and relays messages between the customer and the configured agent number.
+// Handoffs are kept in their own store (no TTL) so they survive restarts.
+//
+// Agent commands (sent from AGENT_NUMBER):
+//   #<ticket> <message>   reply to a customer (or quote-reply a relayed message)
+//   !close <ticket>       end the handoff and give the customer back to the bot
+//   !queue                list open handoffs
+
+const log = getLogger('handoff');
+
+const COUNTER_KEY = '#ticket';
+
+const store = recordStore(() => getConfig().handoff.file);
+
+export function setHandoffStore(next) {
+  store.set(next);
+}
+
+export function agentJid() {
+  return toJid(getConfig().handoff.agentNumber);
+}
+
+export function isAgent(jid) {
+  return Boolean(agentJid()) && jid === agentJid();
+}
+
+function minutesSince(iso, now = Date.now()) {
+  return Math.floor((now - new Date(iso).getTime()) / 60000);
+}
+
+function isExpired(handoff, now = Date.now()) {
+  const { timeoutMinutes } = getConfig().handoff;
+  return timeoutMinutes > 0 && now - new Date(handoff.lastActivity).getTime() > timeoutMinutes * 60000;
+}
+
+async function customerLanguage(jid) {
+  return (await getStateStore().get(jid))?.lang;
+}
+
+export async function getHandoff(jid) {
+  return store.get().get(jid);
+}
+
+// Open handoffs, oldest ticket first
+export async function listHandoffs() {
+  const entries = await store.get().entries();
+  return entries
+    .filter(([key]) => key !== COUNTER_KEY)
+    .map(([, handoff]) => handoff)
+    .sort((a, b) => a.ticket - b.ticket);
+}
+
+async function findByTicket(ticket) {
+  return (await listHandoffs()).find(handoff => handoff.ticket === ticket) || null;
+}
+
+async function touch(handoff, patch = {}) {
+  const next = { ...handoff, ...patch, lastActivity: new Date().toISOString() };
+  await store.get().set(handoff.jid, next);
+  return next;
+}
+
+export async function openHandoff(sock, jid, { topic = null } = {}) {
+  const existing = await getHandoff(jid);
+  if (existing) return existing;
+
+  const ticket = ((await store.get().get(COUNTER_KEY)) || 0) + 1;
+  await store.get().set(COUNTER_KEY, ticket);
+
+  const now = new Date().toISOString();
+  const handoff = { ticket, jid, topic, status: 'waiting', requestedAt: now, lastActivity: now };
+  await store.get().set(jid, handoff);
+  await store.get().flush();
+
+  log.info({ jid }, `🙋 Handoff #${ticket} opened`);
+  await sock.sendMessage(agentJid(), {
+    text: `🙋 *New handoff #${ticket}*\n\n` +
+          `👤 *Customer:* ${phoneOf(jid)}\n` +
+          (topic ? `🔧 *Last viewed:* ${topic}\n` : '') +
+          `\nReply with *#${ticket} your message* to answer.\n` +
+          `Send *!close ${ticket}* when you're done or *!queue* to see all open chats.`
+  });
+
+  return handoff;
+}
+
+export async function closeHandoff(sock, jid, reason = 'agent') {
+  const handoff = await getHandoff(jid);
+  if (!handoff) return null;
+
+  await store.get().delete(jid);
+  await store.get().flush();
+  log.info(`✅ Handoff #${handoff.ticket} closed (${reason})`);
+
+  const lang = await customerLanguage(jid);
+  await sock.sendMessage(jid, { text: t(lang, reason === 'timeout' ? 'handoff.timedOut' : 'handoff.closed') });
+  await sock.sendMessage(agentJid(), {
+    text: `✅ Handoff #${handoff.ticket} (${phoneOf(jid)}) closed` + (reason === 'timeout' ? ' after inactivity.' : '.')
+  });
+
+  return handoff;
+}
+
+// Returns false when the handoff has timed out, so the message goes back to the bot
+export async function relayToAgent(sock, handoff, text) {
+  if (isExpired(handoff)) {
+    await closeHandoff(sock, handoff.jid, 'timeout');
+    return false;
+  }
+
+  await touch(handoff);
+  await sock.sendMessage(agentJid(), {
+    text: `💬 [#${handoff.ticket}] ${phoneOf(handoff.jid)}:\n${text || '_(non-text message)_'}`
+  });
+  return true;
+}
+
+function quotedText(msg) {
+  const quoted = msg.message?.extendedTextMessage?.contextInfo?.quotedMessage;
+  return quoted?.conversation || quoted?.extendedTextMessage?.text || '';
+}
+
+function formatQueue(handoffs, now = Date.now()) {
+  if (handoffs.length === 0) return `📭 *Agent queue is empty.*`;
+
+  const lines = handoffs.map(h =>
+    `#${h.ticket} ${phoneOf(h.jid)} – ${h.status}` +
+    ` (waiting ${minutesSince(h.requestedAt, now)} min, idle ${minutesSince(h.lastActivity, now)} min)` +
+    (h.topic ? `\n     ${h.topic}` : '')
+  );
+  return `📋 *Agent queue (${handoffs.length})*\n\n${lines.join('\n')}`;
+}
+
+// Handles every message from the agent number; nothing here reaches the customer flow
+export async function handleAgentMessage(sock, msg, text) {
+  const agent = agentJid();
+
+  if (/^!queue$/i.test(text)) {
+    await sock.sendMessage(agent, { text: formatQueue(await listHandoffs()) });
+    return;
+  }
+
+  const close = text.match(/^!close\s+#?(\d+)$/i);
+  if (close) {
+    const handoff = await findByTicket(parseInt(close[1]));
+    if (!handoff) {
+      await sock.sendMessage(agent, { text: `⚠️ No open handoff #${close[1]}.` });
+      return;
+    }
+    await closeHandoff(sock, handoff.jid, 'agent');
+    return;
+  }
+
+  // "#12 message", or a quote-reply to a relayed "[#12]" message
+  let reply = text.match(/^#(\d+)\s+([\s\S]+)$/);
+  if (!reply) {
+    const quoted = quotedText(msg).match(/\[#(\d+)\]/);
+    if (quoted && text) reply = [null, quoted[1], text];
+  }
+
+  if (!reply) {
+    await sock.sendMessage(agent, {
+      text: `ℹ️ *Agent commands*\n\n` +
+            `#<ticket> <message> – reply to a customer\n` +
+            `!close <ticket> – end a handoff\n` +
+            `!queue – list open handoffs`
+    });
+    return;
+  }
+
+  const handoff = await findByTicket(parseInt(reply[1]));
+  if (!handoff) {
+    await sock.sendMessage(agent, { text: `⚠️ No open handoff #${reply[1]}.` });
+    return;
+  }
+
+  await touch(handoff, { status: 'active' });
+  const lang = await customerLanguage(handoff.jid);
+  await sock.sendMessage(handoff.jid, { text: t(lang, 'handoff.agentReply', { text: reply[2].trim() }) });
+}
+
+// Closes handoffs that ran past the inactivity timeout; run periodically
+export async function closeExpiredHandoffs(sock) {
+  for (const handoff of await listHandoffs()) {
+    if (isExpired(handoff)) await closeHandoff(sock, handoff.jid, 'timeout');
+  }
+}
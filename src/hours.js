@@ -0,0 +1,283 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { t } from './i18n.js';
+import { getLogger } from './logger.js';
+
+// Business hours per company (catalog category) from data/schedule.json:
+//   timezone   IANA zone the hours are written in, e.g. "Asia/Colombo"
+//   holidays   [{ date: "YYYY-MM-DD", name }] closed for every company
+//   companies  { <categoryId>: { hours: { mon: ["09:00-18:00"], ... }, holidays?: [...],
+//                appointments?: { minutes: 60, hours: { mon: ["10:00-12:00"], ... } } } }
+// Days left out are closed. Companies without an entry count as always open.
+// `appointments` is the weekly availability for booked consultations (see bookings.js),
+// split into slots of `minutes`; holidays have no slots.
+
+const log = getLogger('hours');
+
+const defaultScheduleFile = fileURLToPath(new URL('../data/schedule.json', import.meta.url));
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RANGE = /^([01]\d|2[0-4]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+// How far ahead nextOpening() looks before giving up
+const SEARCH_DAYS = 370;
+
+// Read lazily so SCHEDULE_FILE from .env is honoured
+export function scheduleFile() {
+  return process.env.SCHEDULE_FILE
+    ? path.resolve(process.env.SCHEDULE_FILE)
+    : defaultScheduleFile;
+}
+
+let current = null;
+
+function isTimeZone(value) {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return typeof value === 'string';
+  } catch {
+    return false;
+  }
+}
+
+function parseRange(text) {
+  const match = RANGE.exec(text);
+  if (!match) return null;
+  const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+  const range = [startHour * 60 + startMinute, endHour * 60 + endMinute];
+  return range[0] < range[1] && range[1] <= 24 * 60 ? range : null;
+}
+
+function validateHours(hours, where, errors) {
+  if (!hours || typeof hours !== 'object') {
+    errors.push(`${where} must be an object keyed by day (mon, tue, ...)`);
+    return;
+  }
+  for (const [day, ranges] of Object.entries(hours)) {
+    if (!DAYS.includes(day)) {
+      errors.push(`${where}.${day} is not a day (use ${DAYS.join(', ')})`);
+    } else if (!Array.isArray(ranges) || !ranges.every(parseRange)) {
+      errors.push(`${where}.${day} must be a list like ["09:00-18:00"]`);
+    }
+  }
+}
+
+function validateHolidays(holidays, where, errors) {
+  if (holidays === undefined) return;
+  if (!Array.isArray(holidays)) {
+    errors.push(`${where} must be a list`);
+    return;
+  }
+  holidays.forEach((holiday, index) => {
+    if (!DATE.test(holiday?.date || '')) errors.push(`${where}[${index}].date must look like YYYY-MM-DD`);
+  });
+}
+
+// Returns a list of problems, empty when the schedule is usable
+export function validateSchedule(data) {
+  if (!data || typeof data !== 'object') return ['schedule must be a JSON object'];
+
+  const errors = [];
+  if (!isTimeZone(data.timezone)) errors.push('timezone must be an IANA time zone, e.g. "Asia/Colombo"');
+  validateHolidays(data.holidays, 'holidays', errors);
+
+  if (!data.companies || typeof data.companies !== 'object') {
+    errors.push('companies must be an object keyed by category ID');
+    return errors;
+  }
+
+  for (const [id, company] of Object.entries(data.companies)) {
+    validateHours(company?.hours, `companies.${id}.hours`, errors);
+    validateHolidays(company?.holidays, `companies.${id}.holidays`, errors);
+
+    const appointments = company?.appointments;
+    if (appointments === undefined) continue;
+    if (!Number.isInteger(appointments?.minutes) || appointments.minutes < 5 || appointments.minutes > 8 * 60) {
+      errors.push(`companies.${id}.appointments.minutes must be a whole number of minutes (5-480)`);
+    }
+    validateHours(appointments?.hours, `companies.${id}.appointments.hours`, errors);
+  }
+  return errors;
+}
+
+function compileHours(hours) {
+  return Object.fromEntries(DAYS.map(day => [day, (hours[day] || []).map(parseRange)]));
+}
+
+function compileSchedule(data) {
+  const shared = (data.holidays || []).map(holiday => holiday.date);
+  const companies = {};
+  for (const [id, company] of Object.entries(data.companies)) {
+    companies[id] = {
+      hours: compileHours(company.hours),
+      holidays: new Set([...shared, ...(company.holidays || []).map(holiday => holiday.date)]),
+      appointments: company.appointments
+        ? { minutes: company.appointments.minutes, hours: compileHours(company.appointments.hours) }
+        : null
+    };
+  }
+  return { timezone: data.timezone, companies };
+}
+
+export function loadSchedule(file = scheduleFile()) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateSchedule(data);
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid schedule ${path.basename(file)}:\n - ${errors.join('\n - ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  current = compileSchedule(data);
+  return current;
+}
+
+export function getSchedule() {
+  return current || loadSchedule();
+}
+
+// Keeps the last good schedule when the file on disk is broken
+export function reloadSchedule(file = scheduleFile()) {
+  try {
+    loadSchedule(file);
+    return { ok: true };
+  } catch (error) {
+    log.error({ err: error }, `❌ Schedule reload failed, keeping previous version`);
+    return { ok: false, error };
+  }
+}
+
+// Forgets the loaded schedule so the next call re-reads SCHEDULE_FILE
+export function resetSchedule() {
+  current = null;
+}
+
+// Wall-clock date, weekday and minute of the day in `timeZone`
+function localTime(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit',
+    weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// "2026-10-19" + n days, as a date string
+function addDays(day, count) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+}
+
+// The instant when the wall clock in `timeZone` shows `day` at `minutes`
+function zonedInstant(day, minutes, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, date, 0, minutes);
+  const offset = instant => {
+    const local = localTime(new Date(instant), timeZone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, 0, local.minutes) - Math.floor(instant / 60000) * 60000;
+  };
+  // Second pass settles instants next to a DST change
+  const guess = wall - offset(wall);
+  return new Date(wall - offset(guess));
+}
+
+function companySchedule(companyId) {
+  return getSchedule().companies[companyId] || null;
+}
+
+export function isOpen(companyId, date = new Date()) {
+  const company = companySchedule(companyId);
+  if (!company) return true;
+
+  const now = localTime(date, getSchedule().timezone);
+  if (company.holidays.has(now.date)) return false;
+  return company.hours[now.day].some(([start, end]) => now.minutes >= start && now.minutes < end);
+}
+
+// `date` itself while open, else the start of the next opening; null when it never opens
+export function nextOpening(companyId, date = new Date()) {
+  if (isOpen(companyId, date)) return date;
+
+  const company = companySchedule(companyId);
+  const { timezone } = getSchedule();
+  const today = localTime(date, timezone).date;
+
+  for (let offset = 0; offset < SEARCH_DAYS; offset++) {
+    const day = addDays(today, offset);
+    if (company.holidays.has(day)) continue;
+    const weekday = DAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+    for (const [start] of company.hours[weekday]) {
+      const opening = zonedInstant(day, start, timezone);
+      if (opening > date) return opening;
+    }
+  }
+  return null;
+}
+
+// e.g. "Monday 19 October at 9:00 am", in the customer's language and the schedule's zone
+export function formatOpening(date, lang) {
+  return new Intl.DateTimeFormat(t(lang, 'language.locale'), {
+    timeZone: getSchedule().timezone,
+    weekday: 'long', day: 'numeric', month: 'long', hour: 'numeric', minute: '2-digit', hour12: true
+  }).format(date);
+}
+
+// Locale `key` with {time} filled in while the company is closed, otherwise null
+export function closedNotice(companyId, lang, key = 'hours.closed', date = new Date()) {
+  if (isOpen(companyId, date)) return null;
+  const opening = nextOpening(companyId, date);
+  return opening
+    ? t(lang, key, { time: formatOpening(opening, lang) })
+    : t(lang, 'hours.closedIndefinitely');
+}
+
+// Consultation length in minutes, or null when the company takes no bookings
+export function appointmentLength(companyId) {
+  return companySchedule(companyId)?.appointments?.minutes ?? null;
+}
+
+// The next `count` dates (YYYY-MM-DD) in the schedule's zone, starting with today
+export function upcomingDays(count, date = new Date()) {
+  const today = localTime(date, getSchedule().timezone).date;
+  return Array.from({ length: count }, (_, offset) => addDays(today, offset));
+}
+
+// The date (YYYY-MM-DD) in the schedule's zone at `date`
+export function dayOf(date) {
+  return localTime(date, getSchedule().timezone).date;
+}
+
+// Start instants of the consultation slots on `day`, from the weekly availability
+export function appointmentSlots(companyId, day) {
+  const company = companySchedule(companyId);
+  if (!company?.appointments || company.holidays.has(day)) return [];
+
+  const { minutes, hours } = company.appointments;
+  const weekday = DAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+  return hours[weekday].flatMap(([start, end]) => {
+    const starts = [];
+    for (let minute = start; minute + minutes <= end; minute += minutes) starts.push(minute);
+    return starts.map(minute => zonedInstant(day, minute, getSchedule().timezone));
+  });
+}
+
+// e.g. "Tue 20 Oct" for "2026-10-20"
+export function formatDay(day, lang) {
+  return new Intl.DateTimeFormat(t(lang, 'language.locale'), {
+    timeZone: getSchedule().timezone, weekday: 'short', day: 'numeric', month: 'short'
+  }).format(zonedInstant(day, 12 * 60, getSchedule().timezone));
+}
+
+// e.g. "10:30 am"
+export function formatTime(date, lang) {
+  return new Intl.DateTimeFormat(t(lang, 'language.locale'), {
+    timeZone: getSchedule().timezone, hour: 'numeric', minute: '2-digit', hour12: true
+  }).format(date);
+}
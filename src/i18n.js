@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getConfig } from './config.js';
+import { getLogger } from './logger.js';
+
+// Customer-facing strings live in data/locales/<lang>.json as flat key → text tables.
+// Catalog texts may be plain strings or { en, si, ta } objects (see localize()).
+// Anything missing in a locale falls back to English.
+
+const log = getLogger('i18n');
+
+export const FALLBACK_LANGUAGE = 'en';
+
+const localesDir = fileURLToPath(new URL('../data/locales/', import.meta.url));
+
+let tables = null;
+
+function loadTables() {
+  const loaded = {};
+  for (const file of fs.readdirSync(localesDir).filter(name => name.endsWith('.json'))) {
+    loaded[path.basename(file, '.json')] = JSON.parse(fs.readFileSync(path.join(localesDir, file), 'utf8'));
+  }
+  if (!loaded[FALLBACK_LANGUAGE]) {
+    throw new Error(`Missing fallback locale ${FALLBACK_LANGUAGE}.json in ${localesDir}`);
+  }
+  return loaded;
+}
+
+function getTables() {
+  if (!tables) tables = loadTables();
+  return tables;
+}
+
+// Re-reads the locale files, keeping the current tables if one is broken
+export function reloadLocales() {
+  try {
+    tables = loadTables();
+    return { ok: true };
+  } catch (error) {
+    log.error({ err: error }, `❌ Locale reload failed, keeping previous tables`);
+    return { ok: false, error };
+  }
+}
+
+// Languages offered to customers, in picker order
+export function getLanguages() {
+  const available = getTables();
+  return getConfig().i18n.languages.filter(lang => available[lang]);
+}
+
+export function isLanguage(lang) {
+  return getLanguages().includes(lang);
+}
+
+function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// t('si', 'quote.thanks', { name }) → Sinhala text, else English, else the key itself
+export function t(lang, key, vars = {}) {
+  const all = getTables();
+  const text = all[lang]?.[key] ?? all[FALLBACK_LANGUAGE][key] ?? key;
+  return interpolate(text, vars);
+}
+
+// Catalog values: 'text' or { en: 'text', si: '…', ta: '…' }
+export function localize(value, lang) {
+  if (value === null || value === undefined || typeof value === 'string') return value;
+  return value[lang] ?? value[FALLBACK_LANGUAGE];
+}
+
+// Message keys each locale lacks, plus catalog texts without a translation.
+// `catalogTexts` is a list of [path, value] pairs from the catalog.
+export function missingTranslations(catalogTexts = []) {
+  const all = getTables();
+  const keys = Object.keys(all[FALLBACK_LANGUAGE]);
+  const report = {};
+
+  for (const lang of Object.keys(all).filter(code => code !== FALLBACK_LANGUAGE)) {
+    report[lang] = {
+      messages: keys.filter(key => !all[lang][key]),
+      catalog: catalogTexts
+        .filter(([, value]) => typeof value === 'object' && !value[lang])
+        .map(([where]) => where),
+      // Plain strings are shown to everyone in English
+      englishOnly: catalogTexts
+        .filter(([, value]) => typeof value === 'string')
+        .map(([where]) => where)
+    };
+  }
+
+  return report;
+}
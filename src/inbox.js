@@ -0,0 +1,172 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfig } from './config.js';
+import { readLeads } from './leads.js';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+import { phoneOf } from './jid.js';
+import { getLogger } from './logger.js';
+
+// Media, voice notes, locations and contact cards sent by customers. Each contact has
+// an inbox folder (storage/inbox/<number>/) with the downloaded files and an
+// index.jsonl holding one metadata record per item:
+//   { id, type, file?, mimetype?, size?, caption?, fileName?, location?, contacts?,
+//     lead?, receivedAt }
+// `lead` is the reference of the contact's open lead: one they submitted within
+// inbox.attachHours. Items sent while a quote form is being filled in are added to
+// that lead when it is submitted instead (see flow/quote.js).
+
+const log = getLogger('inbox');
+
+// Baileys' downloadMediaMessage, bound by index.js; tests swap in a fake
+let downloader = null;
+
+export function setMediaDownloader(next) {
+  downloader = next;
+}
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt'
+};
+
+// The message's media, location or contact content, or null for anything else
+// (text, buttons, stickers, reactions)
+export function mediaOf(message = {}) {
+  const document = message.documentMessage || message.documentWithCaptionMessage?.message?.documentMessage;
+  const downloadable = [
+    ['image', message.imageMessage],
+    ['video', message.videoMessage],
+    [message.audioMessage?.ptt ? 'voice' : 'audio', message.audioMessage],
+    ['document', document]
+  ].find(([, content]) => content);
+
+  if (downloadable) {
+    const [type, content] = downloadable;
+    return {
+      type,
+      mimetype: (content.mimetype || 'application/octet-stream').split(';')[0].trim().toLowerCase(),
+      size: Number(content.fileLength || 0),
+      caption: content.caption || null,
+      fileName: content.fileName || null
+    };
+  }
+
+  const location = message.locationMessage || message.liveLocationMessage;
+  if (location) {
+    return {
+      type: 'location',
+      location: {
+        latitude: location.degreesLatitude,
+        longitude: location.degreesLongitude,
+        name: location.name || null,
+        address: location.address || null
+      }
+    };
+  }
+
+  const cards = message.contactMessage ? [message.contactMessage] : message.contactsArrayMessage?.contacts;
+  if (cards?.length > 0) {
+    return { type: 'contact', contacts: cards.map(card => ({ name: card.displayName || null, vcard: card.vcard || '' })) };
+  }
+
+  return null;
+}
+
+// "image/*" and "application/vnd.openxmlformats-officedocument.*" style patterns
+function isAllowedType(mimetype) {
+  return getConfig().inbox.mimeTypes.some(pattern =>
+    new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`, 'i').test(mimetype)
+  );
+}
+
+function extensionOf(media) {
+  const fromName = path.extname(media.fileName || '').slice(1).toLowerCase();
+  if (/^[a-z0-9]{1,8}$/.test(fromName)) return fromName;
+  return EXTENSIONS[media.mimetype] || 'bin';
+}
+
+function inboxDir(jid) {
+  return path.join(getConfig().inbox.dir, phoneOf(jid).slice(1));
+}
+
+// The contact's lead that is still open for attachments, if any
+export function openLead(jid, now = Date.now()) {
+  const since = now - getConfig().inbox.attachHours * 60 * 60 * 1000;
+  const lead = readLeads().filter(lead => lead.jid === jid).at(-1);
+  return lead && Date.parse(lead.submittedAt) >= since ? lead : null;
+}
+
+// Checks the limits and downloads; → { item } or { rejected: 'size' | 'type' | 'download' }
+export async function saveToInbox(sock, msg, media, { lead = null } = {}) {
+  const jid = msg.key.remoteJid;
+  const { maxMb } = getConfig().inbox;
+  const maxBytes = maxMb * 1024 * 1024;
+  // The message id comes from the sender, so only its letters and digits go into file names
+  const id = `${Date.now()}-${String(msg.key.id).replace(/[^A-Za-z0-9]/g, '')}`;
+  const dir = inboxDir(jid);
+  const item = { id, type: media.type, ...(lead && { lead }), receivedAt: new Date().toISOString() };
+  let data = null;
+
+  if (media.mimetype) {
+    if (!isAllowedType(media.mimetype)) return { rejected: 'type' };
+    if (media.size > maxBytes) return { rejected: 'size' };
+
+    try {
+      data = await downloader(msg, sock);
+    } catch (error) {
+      log.error({ err: error, jid }, `❌ Could not download ${media.type}`);
+      return { rejected: 'download' };
+    }
+    // fileLength can be missing, so the size is checked again once it is known
+    if (data.length > maxBytes) return { rejected: 'size' };
+
+    Object.assign(item, {
+      file: `${id}.${extensionOf(media)}`,
+      mimetype: media.mimetype,
+      size: data.length,
+      ...(media.caption && { caption: media.caption }),
+      ...(media.fileName && { fileName: media.fileName })
+    });
+  } else if (media.type === 'contact') {
+    item.file = `${id}.vcf`;
+    item.contacts = media.contacts.map(contact => ({
+      name: contact.name,
+      phones: [...contact.vcard.matchAll(/waid=(\d+)/g)].map(match => `+${match[1]}`)
+    }));
+    data = media.contacts.map(contact => contact.vcard.trim()).join('\n');
+  } else {
+    item.location = media.location;
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  if (item.file) fs.writeFileSync(path.join(dir, item.file), data);
+  appendJsonLine(path.join(dir, 'index.jsonl'), item);
+  log.info({ jid }, `📥 Saved ${media.type}${lead ? ` for lead ${lead}` : ''}`);
+  return { item };
+}
+
+// The contact's inbox records, oldest first
+export function readInbox(jid) {
+  return readJsonLines(path.join(inboxDir(jid), 'index.jsonl'));
+}
+
+// One line for the agent or the admin listing, e.g. "📎 document quote.pdf (212 KB)"
+export function describeItem(item) {
+  if (item.type === 'location') {
+    const { latitude, longitude, name } = item.location;
+    return `📍 ${name ? `${name} ` : ''}https://maps.google.com/?q=${latitude},${longitude}`;
+  }
+  if (item.type === 'contact') {
+    return `👤 ${item.contacts.map(contact => [contact.name, ...contact.phones].filter(Boolean).join(' ')).join(', ')}`;
+  }
+  return `📎 ${item.type} ${item.fileName || item.file} (${Math.max(1, Math.round(item.size / 1024))} KB)` +
+    (item.caption ? `: ${item.caption}` : '');
+}
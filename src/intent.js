@@ -0,0 +1,165 @@
+import { getCatalog } from './catalog.js';
+
+// Offline free-text matching: "I need an online shop" → service4.
+// Each service is indexed by the words of its titles, highlights and `keywords` (in every
+// language the catalog provides). Typed words are compared exactly, by prefix and with a
+// small edit distance, so plurals and typos ("webiste") still land on the right service.
+// Words that appear in many services ("design", "marketing") count for less.
+
+const MAX_MATCHES = 3;
+
+// A match counts only if it scores at least this much...
+const MIN_SCORE = 2;
+// ...and shows up in the list only if it is within this fraction of the best one
+const RELATIVE_CUTOFF = 0.4;
+// The best match is "confident" when it covers half the typed words and clearly beats the next
+const CONFIDENT_COVERAGE = 0.5;
+const CONFIDENT_LEAD = 1.5;
+
+const WEIGHTS = { title: 3, keywords: 2, heading: 2, highlights: 2 };
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'i', 'im', 'me', 'my', 'we', 'our', 'us', 'you', 'your', 'it', 'its', 'is', 'are',
+  'am', 'be', 'was', 'do', 'does', 'can', 'could', 'would', 'will', 'want', 'wanted', 'need', 'needs',
+  'like', 'looking', 'for', 'to', 'of', 'in', 'on', 'at', 'with', 'and', 'or', 'about', 'some', 'any',
+  'how', 'much', 'many', 'what', 'which', 'who', 'when', 'where', 'cost', 'price', 'prices', 'pricing',
+  'rate', 'rates', 'charge', 'get', 'make', 'build', 'create', 'help', 'please', 'pls', 'plz', 'hi',
+  'hello', 'hey', 'thanks', 'thank', 'ok', 'okay', 'yes', 'no', 'new', 'service', 'services', 'business',
+  'company', 'this', 'that', 'there', 'have', 'has', 'just', 'also', 'more', 'info', 'details'
+]);
+
+// Lowercase words without punctuation; works for Sinhala and Tamil script too
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}]+(?:['-][\p{L}\p{M}\p{N}]+)*/gu) || [])
+    .map(word => word.replace(/-/g, ''))
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Just enough stemming for plurals: "websites" → "website", "agencies" → "agency"
+function stem(word) {
+  if (!/^[a-z]+$/.test(word) || word.length <= 3) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+// Edits needed to turn `a` into `b`; swapping two neighbouring letters counts as one
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// 1 for the same word, less for prefixes and near-misses, 0 otherwise
+function similarity(word, term) {
+  if (word === term) return 1;
+  if (word.length < 4 || term.length < 4) return 0;
+  if (term.startsWith(word) || word.startsWith(term)) return 0.8;
+
+  const allowed = Math.min(word.length, term.length) >= 7 ? 2 : 1;
+  if (Math.abs(word.length - term.length) > allowed) return 0;
+  const distance = editDistance(word, term);
+  if (distance === 1) return 0.7;
+  if (distance === 2 && allowed === 2) return 0.6;
+  return 0;
+}
+
+function textsOf(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(textsOf);
+  return typeof value === 'string' ? [value] : Object.values(value);
+}
+
+function buildIndex(catalog) {
+  const services = Object.values(catalog.services).map(service => {
+    const terms = new Map();
+    for (const [field, weight] of Object.entries(WEIGHTS)) {
+      for (const word of textsOf(service[field]).flatMap(tokenize)) {
+        terms.set(word, Math.max(terms.get(word) || 0, weight));
+      }
+    }
+    return { id: service.id, terms };
+  });
+
+  // Rarer words say more about which service is meant
+  const counts = new Map();
+  for (const { terms } of services) {
+    for (const word of terms.keys()) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  const rarity = new Map();
+  for (const [word, count] of counts) rarity.set(word, Math.log(1 + services.length / count));
+
+  return { services, rarity };
+}
+
+// Rebuilt whenever the catalog is reloaded
+const indexes = new WeakMap();
+
+function getIndex(catalog) {
+  if (!indexes.has(catalog)) indexes.set(catalog, buildIndex(catalog));
+  return indexes.get(catalog);
+}
+
+function scoreService(entry, words, rarity) {
+  let score = 0;
+  let covered = 0;
+
+  for (const word of words) {
+    let best = 0;
+    for (const [term, weight] of entry.terms) {
+      const sim = similarity(word, term);
+      if (sim > 0) best = Math.max(best, sim * weight * rarity.get(term));
+    }
+    if (best > 0) covered++;
+    score += best;
+  }
+
+  return { serviceId: entry.id, score, coverage: covered / words.length };
+}
+
+// → { matches: [{ serviceId, score, coverage }], confident } or null when nothing fits
+export function matchIntent(text, catalog = getCatalog()) {
+  const words = [...new Set(tokenize(text))];
+  if (words.length === 0) return null;
+
+  const { services, rarity } = getIndex(catalog);
+  const ranked = services
+    .map(entry => scoreService(entry, words, rarity))
+    .filter(result => result.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+  if (ranked.length === 0) return null;
+
+  const [best, runnerUp] = ranked;
+  const confident = best.coverage >= CONFIDENT_COVERAGE &&
+    (!runnerUp || best.score >= runnerUp.score * CONFIDENT_LEAD);
+
+  return {
+    matches: ranked.filter(result => result.score >= best.score * RELATIVE_CUTOFF).slice(0, MAX_MATCHES),
+    confident
+  };
+}
+
+// A message that only names a category ("software", "digital works please")
+export function matchCategory(text, catalog = getCatalog()) {
+  const words = tokenize(text);
+  if (words.length === 0) return null;
+
+  return catalog.categories.find(category => {
+    const names = new Set([category.id, ...textsOf(category.name), ...textsOf(category.button)].flatMap(tokenize));
+    return words.every(word => names.has(word));
+  }) || null;
+}
@@ -0,0 +1,13 @@
+// Helpers for WhatsApp JIDs ("94771234567@s.whatsapp.net")
+
+// Accepts a full JID or a phone number in any format
+export function toJid(value) {
+  const text = String(value || '').trim();
+  if (text.includes('@')) return text;
+  const digits = text.replace(/\D/g, '');
+  return digits ? `${digits}@s.whatsapp.net` : null;
+}
+
+export function phoneOf(jid) {
+  return `+${jid.split('@')[0].split(':')[0]}`;
+}
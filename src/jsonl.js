@@ -0,0 +1,26 @@
+import fs from 'fs';
+import path from 'path';
+
+// JSON Lines files (leads, estimates, analytics, inbox indexes, the audit log):
+// one JSON record per line, only ever appended to.
+
+export function appendJsonLine(file, record) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.appendFileSync(file, JSON.stringify(record) + '\n');
+}
+
+// Oldest first; lines that are not valid JSON are skipped
+export function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
@@ -0,0 +1,76 @@
+import { getConfig } from './config.js';
+import { recordStore } from './store/index.js';
+import { agentJid } from './handoff.js';
+import { toJid, phoneOf } from './jid.js';
+import { getLogger } from './logger.js';
+
+// Leads captured while their company is closed wait here until its next opening
+// time (see hours.js). Once that passes, staff get one reminder per lead: the agent
+// number when configured, otherwise every owner. The lead itself is already in the
+// leads file; this store only tracks the reminder.
+
+const log = getLogger('leads');
+
+const store = recordStore(() => getConfig().leads.queueFile);
+
+export function setLeadQueueStore(next) {
+  store.set(next);
+}
+
+function staffJids() {
+  const agent = agentJid();
+  return agent ? [agent] : getConfig().admin.owners.map(toJid);
+}
+
+export async function queueLead(lead) {
+  await store.get().set(lead.reference, {
+    reference: lead.reference,
+    service: lead.service,
+    name: lead.name,
+    jid: lead.jid,
+    submittedAt: lead.submittedAt,
+    followUpAt: lead.followUpAt
+  });
+  await store.get().flush();
+}
+
+export async function listQueuedLeads() {
+  return (await store.get().entries()).map(([, lead]) => lead);
+}
+
+// Sends reminders for leads whose opening time has come; returns how many were released
+export async function releaseDueLeads(sock, now = Date.now()) {
+  const due = (await listQueuedLeads()).filter(lead => Date.parse(lead.followUpAt) <= now);
+  const staff = staffJids();
+  // Nobody to remind: keep the leads until an agent or owner number is set
+  if (due.length > 0 && staff.length === 0) {
+    log.warn(`⚠️ ${due.length} queued lead(s) are due, but neither AGENT_NUMBER nor OWNER_NUMBERS is set`);
+    return 0;
+  }
+
+  let released = 0;
+  for (const lead of due) {
+    const text = `⏰ *Lead from closed hours*\n\n` +
+      `🔖 *${lead.reference}* – ${lead.service}\n` +
+      `   ${lead.name}, ${phoneOf(lead.jid)}\n` +
+      `   Submitted ${lead.submittedAt.slice(0, 16).replace('T', ' ')}`;
+    let delivered = 0;
+    for (const jid of staff) {
+      try {
+        await sock.sendMessage(jid, { text });
+        delivered++;
+      } catch (error) {
+        log.error({ err: error, jid }, '❌ Lead reminder failed');
+      }
+    }
+    // Try again on the next sweep when nobody got it
+    if (delivered === 0) continue;
+
+    await store.get().delete(lead.reference);
+    released++;
+    log.info(`⏰ Queued lead ${lead.reference} released`);
+  }
+
+  if (released > 0) await store.get().flush();
+  return released;
+}
\ No newline at end of file
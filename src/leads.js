@@ -0,0 +1,28 @@
+import crypto from 'crypto';
+import { getConfig } from './config.js';
+import { appendJsonLine, readJsonLines } from './jsonl.js';
+
+// Quote requests are appended to a JSON Lines file, one lead per line.
+
+// e.g. NX-20250114-4F7K
+export function newReference(date = new Date(), prefix = 'NX') {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(3).toString('hex').slice(0, 4).toUpperCase();
+  return `${prefix}-${day}-${suffix}`;
+}
+
+export function appendLead(lead, file = getConfig().leads.file) {
+  const record = {
+    reference: lead.reference || newReference(),
+    ...lead,
+    submittedAt: lead.submittedAt || new Date().toISOString()
+  };
+
+  appendJsonLine(file, record);
+  return record;
+}
+
+// Newest last
+export function readLeads(file = getConfig().leads.file) {
+  return readJsonLines(file);
+}
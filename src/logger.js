@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import pino from 'pino';
+import chalk from 'chalk';
+import { getConfig } from './config.js';
+
+// Logging. One pino root writes every record to a rotating JSON Lines file and to a
+// readable console view; modules log through named children from getLogger(name),
+// e.g. getLogger('handler').info({ jid }, 'Message received'). Phone numbers are
+// masked unless LOG_MASK_PHONES=false, so contacts go in a `jid` field, not the message.
+//
+// The root is built on first use from the `logging` settings, so loggers created at
+// import time still honour .env; resetLogging() rebuilds it after the settings change.
+
+const LEVEL_COLORS = {
+  trace: chalk.gray,
+  debug: chalk.blue,
+  info: chalk.green,
+  warn: chalk.yellow,
+  error: chalk.red,
+  fatal: chalk.bgRed.white
+};
+
+// Fields every record has; the console view shows them in the prefix instead
+const PREFIX_FIELDS = new Set(['level', 'time', 'pid', 'hostname', 'name', 'msg']);
+
+// 9 to 15 digits: 94771234567 → 9477*****67
+const NUMBER = /(?<![\d.])(\d{4})(\d{3,9})(\d{2})(?![\d.])/g;
+// In text only what is surely a phone number is masked: a JID's user part (…@s.whatsapp.net
+// or …@lid, maybe with a :device) or a number written with a +. Timestamps, message IDs
+// and sizes stay as they are, so log lines can still be matched up.
+const JID_USER = /(?<![\d.])(\d{4})(\d{3,9})(\d{2})(?=(?::\d+)?@(?:s\.whatsapp\.net|lid)\b)/g;
+const PLUS_NUMBER = /(?<=\+)(\d{4})(\d{3,9})(\d{2})(?![\d.])/g;
+// Fields that hold a phone number or JID, masked whatever their shape
+const PHONE_FIELDS = new Set(['jid', 'phone', 'number']);
+
+const hide = (match, head, middle, tail) => `${head}${'*'.repeat(middle.length)}${tail}`;
+
+export function maskPhones(text) {
+  return text.replace(JID_USER, hide).replace(PLUS_NUMBER, hide);
+}
+
+function maskValue(value, depth = 0, field = null) {
+  if (typeof value === 'string') return PHONE_FIELDS.has(field) ? value.replace(NUMBER, hide) : maskPhones(value);
+  if (depth > 4 || !value || typeof value !== 'object') return value;
+  if (value instanceof Error) {
+    return { type: value.name, message: maskPhones(value.message), stack: value.stack && maskPhones(value.stack) };
+  }
+  if (Array.isArray(value)) return value.map(item => maskValue(item, depth + 1, field));
+  // Buffers, sockets and other class instances are passed on untouched
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, maskValue(item, depth + 1, key)]));
+}
+
+// Size-based rotation: bot.log → bot.log.1 → … → bot.log.<maxFiles>, oldest dropped
+export function createRotatingFile({ file, maxBytes, maxFiles }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let fd = fs.openSync(file, 'a');
+  let size = fs.fstatSync(fd).size;
+
+  function rotate() {
+    fs.closeSync(fd);
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${file}.${index}`)) fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+    }
+    if (maxFiles > 0) fs.renameSync(file, `${file}.1`);
+    else fs.truncateSync(file);
+    fd = fs.openSync(file, 'a');
+    size = 0;
+  }
+
+  return {
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxBytes) rotate();
+      fs.writeSync(fd, line);
+      size += bytes;
+    },
+    close() {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+// "12:04:31 INFO  handler  📩 Message text: "hi" {"jid":"9477*****67@s.whatsapp.net"}"
+export function formatPretty(record) {
+  const time = new Date(record.time).toTimeString().slice(0, 8);
+  const label = pino.levels.labels[record.level] || 'info';
+  const color = LEVEL_COLORS[label] || (text => text);
+  const extra = Object.fromEntries(Object.entries(record).filter(([key]) => !PREFIX_FIELDS.has(key) && key !== 'err'));
+
+  let line = `${chalk.gray(time)} ${color(label.toUpperCase().padEnd(5))} ${chalk.cyan((record.name || '').padEnd(10))} ${record.msg ?? ''}`;
+  if (Object.keys(extra).length > 0) line += ` ${chalk.gray(JSON.stringify(extra))}`;
+  if (record.err) line += `\n${chalk.gray(record.err.stack || record.err.message)}`;
+  return line + '\n';
+}
+
+function createPrettyStream(output = process.stdout) {
+  return {
+    write(line) {
+      try {
+        output.write(formatPretty(JSON.parse(line)));
+      } catch {
+        output.write(line);
+      }
+    }
+  };
+}
+
+let root = null;
+let file = null;
+const children = new Map();
+
+function levelFor(name) {
+  const { level, levels } = getConfig().logging;
+  return levels[name] || level;
+}
+
+function buildRoot() {
+  const config = getConfig().logging;
+  const streams = [];
+
+  if (config.console !== 'off') {
+    streams.push({
+      level: config.consoleLevel || 'trace',
+      stream: config.console === 'json' ? process.stdout : createPrettyStream()
+    });
+  }
+  if (config.file) {
+    file = createRotatingFile({ file: config.file, maxBytes: config.maxSizeMb * 1024 * 1024, maxFiles: config.maxFiles });
+    streams.push({ level: 'trace', stream: file });
+  }
+
+  return pino({
+    // Children filter by their own level; the root lets everything through to them
+    level: 'trace',
+    base: undefined,
+    ...(config.maskPhones && {
+      hooks: {
+        logMethod(args, method) {
+          method.apply(this, args.map(arg => maskValue(arg)));
+        }
+      }
+    })
+  }, pino.multistream(streams));
+}
+
+function getRoot() {
+  if (!root) root = buildRoot();
+  return root;
+}
+
+// The pino child for `name`, for libraries that want a real pino logger (Baileys)
+export function pinoLogger(name) {
+  if (!children.has(name)) {
+    children.set(name, getRoot().child({ name }, { level: levelFor(name) }));
+  }
+  return children.get(name);
+}
+
+// Named logger that can be created at import time; see the top of this file
+export function getLogger(name) {
+  const logger = {};
+  for (const level of Object.keys(LEVEL_COLORS)) {
+    logger[level] = (...args) => pinoLogger(name)[level](...args);
+  }
+  return logger;
+}
+
+// Drops the root and its children so the next log line re-reads the settings
+export function resetLogging() {
+  file?.close();
+  root = null;
+  file = null;
+  children.clear();
+}
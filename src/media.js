@@ -0,0 +1,57 @@
+import fs from 'fs';
+import { serviceCard } from './cards.js';
+import { getConfig } from './config.js';
+import { localize } from './i18n.js';
+import { getLogger } from './logger.js';
+
+// Media sent ahead of a service's details: its image (or a generated card when it has
+// none), then its video, then its brochure as a PDF document. Each one is sent on its
+// own so a missing file or a failed upload never holds back the details.
+
+const log = getLogger('media');
+
+function isUrl(source) {
+  return /^https?:\/\//i.test(source);
+}
+
+// Local files are checked up front; Baileys reads both kinds through { url }
+function available(source) {
+  if (isUrl(source) || fs.existsSync(source)) return true;
+  log.warn(`⚠️ Media file not found: ${source}`);
+  return false;
+}
+
+async function imageOf(service) {
+  if (service.media?.image) return service.media.image;
+  if (!getConfig().media.cards) return null;
+  return serviceCard(service);
+}
+
+export async function sendServiceMedia(ctx, service) {
+  const caption = `*${ctx.localize(service.title)}*`;
+  const messages = [];
+
+  try {
+    const image = await imageOf(service);
+    if (image && available(image)) messages.push({ image: { url: image }, caption });
+  } catch (error) {
+    log.error({ err: error }, `❌ Could not build the card for ${service.id}`);
+  }
+
+  const { video, brochure } = service.media || {};
+  if (video && available(video)) {
+    messages.push({ video: { url: video }, ...(messages.length === 0 && { caption }) });
+  }
+  if (brochure && available(brochure)) {
+    const name = localize(service.title, 'en').replace(/[^\w\s&()-]/g, '').trim() || service.id;
+    messages.push({ document: { url: brochure }, mimetype: 'application/pdf', fileName: `${name}.pdf` });
+  }
+
+  for (const content of messages) {
+    try {
+      await ctx.send(content);
+    } catch (error) {
+      log.error({ err: error }, `❌ Could not send ${Object.keys(content)[0]} for ${service.id}`);
+    }
+  }
+}
@@ -0,0 +1,109 @@
+import { getConfig } from './config.js';
+import { getStateStore } from './userState.js';
+
+// In-process counters and connection status for /health and /metrics (see monitor.js).
+// Counters only ever go up and reset when the process restarts, as Prometheus expects.
+
+const startedAt = Date.now();
+
+const COUNTERS = {
+  messages_received_total: 'Live messages received from WhatsApp',
+  messages_sent_total: 'sendMessage calls, by result',
+  handler_errors_total: 'Messages whose handler threw',
+  reconnects_total: 'Reconnects after the connection closed'
+};
+
+// name -> Map(label string -> value)
+const counters = new Map(Object.keys(COUNTERS).map(name => [name, new Map()]));
+
+const status = {
+  // starting | pairing | connecting | open | reconnecting | logged_out | stopped
+  connection: 'starting',
+  since: Date.now(),
+  lastMessageAt: null
+};
+
+function labelKey(labels) {
+  return Object.entries(labels).map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, '\\$&')}"`).join(',');
+}
+
+export function increment(name, labels = {}) {
+  const values = counters.get(name);
+  if (!values) throw new Error(`Unknown counter ${name}`);
+  const key = labelKey(labels);
+  values.set(key, (values.get(key) || 0) + 1);
+}
+
+export function setConnectionState(connection) {
+  if (status.connection === connection) return;
+  status.connection = connection;
+  status.since = Date.now();
+}
+
+export function messageReceived() {
+  increment('messages_received_total');
+  status.lastMessageAt = Date.now();
+}
+
+// The same socket with every sendMessage counted
+export function countSends(sock) {
+  const counted = Object.create(sock);
+  counted.sendMessage = async (...args) => {
+    try {
+      const sent = await sock.sendMessage(...args);
+      increment('messages_sent_total', { result: 'ok' });
+      return sent;
+    } catch (error) {
+      increment('messages_sent_total', { result: 'error' });
+      throw error;
+    }
+  };
+  return counted;
+}
+
+// Conversations with a message within the idle timeout
+async function activeConversations(now = Date.now()) {
+  const window = (getConfig().state.idleTimeoutMinutes || 30) * 60 * 1000;
+  const entries = await getStateStore().entries();
+  return entries.filter(([, state]) => state?.lastSeen && now - state.lastSeen <= window).length;
+}
+
+export async function getHealth() {
+  const now = Date.now();
+  return {
+    status: status.connection === 'open' ? 'ok' : 'degraded',
+    connection: status.connection,
+    connectionSince: new Date(status.since).toISOString(),
+    uptimeSeconds: Math.round((now - startedAt) / 1000),
+    lastMessageAt: status.lastMessageAt ? new Date(status.lastMessageAt).toISOString() : null,
+    activeConversations: await activeConversations(now)
+  };
+}
+
+// Prometheus text exposition format, version 0.0.4
+export async function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP wabot_${name} ${help}`, `# TYPE wabot_${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`wabot_${name}${labels ? `{${labels}}` : ''} ${value}`);
+  };
+
+  for (const [name, help] of Object.entries(COUNTERS)) {
+    const values = counters.get(name);
+    metric(name, 'counter', help, values.size > 0 ? values : [['', 0]]);
+  }
+
+  metric('active_conversations', 'gauge', 'Conversations with a message within the idle timeout', [['', await activeConversations()]]);
+  metric('connected', 'gauge', 'Whether the WhatsApp connection is open', [['', status.connection === 'open' ? 1 : 0]]);
+  metric('connection_state', 'gauge', 'Current connection state', [[labelKey({ state: status.connection }), 1]]);
+  metric('uptime_seconds', 'gauge', 'Seconds since the process started', [['', Math.round((Date.now() - startedAt) / 1000)]]);
+  metric('last_message_timestamp_seconds', 'gauge', 'Unix time of the last message received', [['', status.lastMessageAt ? Math.floor(status.lastMessageAt / 1000) : 0]]);
+
+  return lines.join('\n') + '\n';
+}
+
+// Clears counters and status, for tests
+export function resetMetrics() {
+  for (const values of counters.values()) values.clear();
+  Object.assign(status, { connection: 'starting', since: Date.now(), lastMessageAt: null });
+}
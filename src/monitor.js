@@ -0,0 +1,54 @@
+import http from 'http';
+import { getConfig } from './config.js';
+import { getHealth, renderMetrics } from './metrics.js';
+import { getLogger } from './logger.js';
+
+// Optional HTTP endpoints for process managers and Prometheus, off unless MONITOR_PORT
+// is set and bound to localhost by default:
+//   GET /health   JSON status; 200 while connected, 503 otherwise
+//   GET /metrics  Prometheus text format
+
+const log = getLogger('monitor');
+
+async function route(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.writeHead(405, { allow: 'GET, HEAD' }).end();
+    return;
+  }
+
+  if (pathname === '/health') {
+    const health = await getHealth();
+    res.writeHead(health.status === 'ok' ? 200 : 503, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(health));
+  } else if (pathname === '/metrics') {
+    res.writeHead(200, { 'content-type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(await renderMetrics());
+  } else {
+    res.writeHead(404, { 'content-type': 'text/plain' }).end('Not found\n');
+  }
+}
+
+// Resolves with the listening server, or null when the monitor is disabled
+export function startMonitor({ port, host } = getConfig().monitor) {
+  if (port === null || port === undefined) return Promise.resolve(null);
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch(error => {
+      log.error({ err: error }, `❌ ${req.url} failed`);
+      if (!res.headersSent) res.writeHead(500);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      const address = server.address();
+      log.info(`📈 Monitor listening on http://${address.address}:${address.port} (/health, /metrics)`);
+      resolve(server);
+    });
+  });
+}
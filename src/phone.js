@@ -0,0 +1,74 @@
+// Phone number checks for the linked account and owner numbers. Numbers are matched
+// against their country calling code and the length of the national number that
+// follows it; countries not listed here only get the general E.164 checks.
+
+// calling code -> [country, national number lengths, pattern for mobile numbers]
+const COUNTRIES = {
+  1: ['US/CA', [10], /^[2-9]\d{2}[2-9]/],
+  7: ['RU/KZ', [10], /^[3-9]/],
+  33: ['FR', [9], /^[67]/],
+  39: ['IT', [9, 10], /^3/],
+  44: ['GB', [10], /^7/],
+  49: ['DE', [10, 11], /^1[5-7]/],
+  60: ['MY', [9, 10], /^1/],
+  61: ['AU', [9], /^4/],
+  62: ['ID', [9, 10, 11, 12], /^8/],
+  65: ['SG', [8], /^[89]/],
+  81: ['JP', [10], /^[789]0/],
+  82: ['KR', [9, 10], /^1/],
+  86: ['CN', [11], /^1/],
+  91: ['IN', [10], /^[6-9]/],
+  92: ['PK', [10], /^3/],
+  94: ['LK', [9], /^7/],
+  880: ['BD', [10], /^1/],
+  960: ['MV', [7], /^[79]/],
+  965: ['KW', [8], /^[569]/],
+  966: ['SA', [9], /^5/],
+  968: ['OM', [8], /^[79]/],
+  971: ['AE', [9], /^5/],
+  973: ['BH', [8], /^3/],
+  974: ['QA', [8], /^[3-7]/],
+  977: ['NP', [10], /^9/]
+};
+
+// Calling codes are prefix-free, so at most one of 1–3 leading digits matches
+function callingCode(digits) {
+  for (const length of [1, 2, 3]) {
+    const code = digits.slice(0, length);
+    if (COUNTRIES[code]) return code;
+  }
+  return null;
+}
+
+// { valid: true, number, country, warning? } or { valid: false, reason }. Landlines
+// can run WhatsApp Business, so a number outside the mobile ranges only gets a warning.
+// Local numbers with a leading 0 ("0771234567") take `defaultCountry`.
+export function validatePhone(input, { defaultCountry = '94' } = {}) {
+  let digits = String(input ?? '').trim().replace(/[\s\-().]/g, '');
+  if (!digits) return { valid: false, reason: 'No number given' };
+  if (!/^(\+|00)?\d+$/.test(digits)) return { valid: false, reason: 'Only digits, spaces and a leading + are allowed' };
+
+  if (digits.startsWith('+')) digits = digits.slice(1);
+  else if (digits.startsWith('00')) digits = digits.slice(2);
+  else if (digits.startsWith('0')) {
+    if (!defaultCountry) return { valid: false, reason: 'Include the country code, e.g. 94771234567' };
+    digits = `${defaultCountry}${digits.slice(1)}`;
+  }
+
+  if (digits.length < 8 || digits.length > 15) {
+    return { valid: false, reason: 'A number with country code has 8 to 15 digits' };
+  }
+
+  const code = callingCode(digits);
+  if (!code) return { valid: true, number: digits, country: null };
+
+  const [country, lengths, mobile] = COUNTRIES[code];
+  const national = digits.slice(code.length);
+  if (!lengths.includes(national.length)) {
+    const expected = lengths.map(length => length + code.length).join(' or ');
+    return { valid: false, reason: `${country} numbers have ${expected} digits with the country code (+${code}), got ${digits.length}` };
+  }
+  const phone = { valid: true, number: digits, country };
+  if (!mobile.test(national)) phone.warning = `+${code} ${national} is not a ${country} mobile number`;
+  return phone;
+}
@@ -0,0 +1,100 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import QRCode from 'qrcode';
+import { Jimp } from 'jimp';
+import { getConfig } from './config.js';
+import { getLogger } from './logger.js';
+
+// QR code login (`--qr` / LOGIN_MODE=qr). Baileys hands out a new QR in
+// connection.update about once a minute for the first one and every 20 seconds after
+// that; each one is drawn in the terminal and saved as a PNG so it can be scanned from
+// a headless server (copy it over, or open it through a file share).
+
+const log = getLogger('connection');
+
+// How long Baileys keeps each QR before rotating it
+const FIRST_QR_MS = 60 * 1000;
+const NEXT_QR_MS = 20 * 1000;
+
+export function renderQrTerminal(text) {
+  return QRCode.toString(text, { type: 'terminal', small: true });
+}
+
+// Black modules on white with a quiet zone, `scale` pixels per module
+export async function writeQrPng(text, file, { scale = 8, margin = 4 } = {}) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'L' });
+  const side = (modules.size + margin * 2) * scale;
+  const image = new Jimp({ width: side, height: side, color: 0xffffffff });
+
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (!modules.get(row, col)) continue;
+      for (let y = 0; y < scale; y++) {
+        for (let x = 0; x < scale; x++) {
+          image.setPixelColor(0x000000ff, (col + margin) * scale + x, (row + margin) * scale + y);
+        }
+      }
+    }
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  await image.write(file);
+  // Anyone who scans it in time gets the account, so keep it private
+  fs.chmodSync(file, 0o600);
+  return file;
+}
+
+// show(qr) for every QR Baileys sends, stop() once linked or closed.
+// Returns { show, stop, shown } where `shown` counts the QR codes shown so far.
+export function createQrLogin({ file = getConfig().whatsapp.qrFile, output = process.stdout } = {}) {
+  let timer = null;
+  let shown = 0;
+
+  function clearCountdown() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function countdown(expiresAt) {
+    clearCountdown();
+    const line = () => chalk.yellow(`⏳ QR code refreshes in ${Math.max(0, Math.ceil((expiresAt - Date.now()) / 1000))}s `);
+    if (!output.isTTY) {
+      output.write(`${line()}\n`);
+      return;
+    }
+    output.write(line());
+    timer = setInterval(() => output.write(`\r${line()}`), 1000);
+    timer.unref?.();
+  }
+
+  return {
+    async show(qr) {
+      const expiresAt = Date.now() + (shown === 0 ? FIRST_QR_MS : NEXT_QR_MS);
+      shown++;
+      clearCountdown();
+
+      if (output.isTTY) output.write('\x1b[2J\x1b[H');
+      output.write(chalk.greenBright(`📷 Scan this QR code with WhatsApp (${shown})\n`));
+      output.write(chalk.white('Settings → Linked Devices → Link a Device\n\n'));
+      output.write(await renderQrTerminal(qr));
+
+      try {
+        await writeQrPng(qr, file);
+        output.write(chalk.cyan(`\n🖼️  Also saved as ${file}\n`));
+      } catch (error) {
+        log.error({ err: error }, `❌ Could not write the QR code to ${file}`);
+      }
+      countdown(expiresAt);
+    },
+    // Ends the countdown and deletes the PNG
+    stop() {
+      clearCountdown();
+      if (shown > 0 && output.isTTY) output.write('\n');
+      fs.rmSync(file, { force: true });
+    },
+    get shown() {
+      return shown;
+    }
+  };
+}
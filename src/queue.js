@@ -0,0 +1,65 @@
+import { getConfig } from './config.js';
+
+// Inbound message queue. Baileys emits messages.upsert without waiting for earlier
+// batches, so two quick taps from one customer would otherwise run side by side and
+// the second state write could undo the first. Every JID gets its own promise chain:
+// a contact's messages run strictly in arrival order while different contacts still
+// run concurrently. Message IDs already seen are dropped, since WhatsApp redelivers
+// messages after reconnects and retries.
+
+// Only live messages are answered; 'append' upserts are history sync and old messages
+export function isLiveUpsert(upsert) {
+  return upsert?.type === 'notify';
+}
+
+// handle(msg) does the work; onError(error, msg) reports a failed message without
+// stopping the ones queued behind it
+export function createMessageQueue(handle, { onError = () => {}, dedupeSize } = {}) {
+  const limit = dedupeSize ?? getConfig().queue.dedupeSize;
+  const chains = new Map();
+  // Insertion-ordered, so the oldest IDs are forgotten first
+  const seen = new Set();
+
+  function isDuplicate(msg) {
+    const id = msg.key?.id;
+    if (!id) return false;
+    const key = `${msg.key.remoteJid}/${id}`;
+    if (seen.has(key)) return true;
+    seen.add(key);
+    if (seen.size > limit) seen.delete(seen.values().next().value);
+    return false;
+  }
+
+  // Queues one message; resolves once it has been handled (or dropped)
+  function push(msg) {
+    const jid = msg?.key?.remoteJid;
+    if (!jid || isDuplicate(msg)) return Promise.resolve(false);
+
+    const previous = chains.get(jid) || Promise.resolve();
+    const next = previous
+      .then(() => handle(msg))
+      .then(() => true, error => {
+        onError(error, msg);
+        return false;
+      });
+    chains.set(jid, next);
+    // Drop finished chains so idle contacts don't pile up
+    next.then(() => {
+      if (chains.get(jid) === next) chains.delete(jid);
+    });
+    return next;
+  }
+
+  // Resolves once everything queued so far has been handled, e.g. before shutting down
+  function drain() {
+    return Promise.all([...chains.values()]).then(() => {});
+  }
+
+  return {
+    push,
+    drain,
+    get pending() {
+      return chains.size;
+    }
+  };
+}
@@ -0,0 +1,153 @@
+import { LRUCache } from 'lru-cache';
+import { getConfig } from './config.js';
+import { blockContact } from './controls.js';
+import { getLogger } from './logger.js';
+
+// Flood protection for the linked WhatsApp account. Inbound messages pass a
+// per-contact and a global token bucket; messages over the limit are dropped, the
+// contact gets one "slow down" notice per cooldown, and contacts who keep going are
+// blocked for a while. Outbound sendMessage calls pass their own buckets and wait
+// for a token instead of being dropped, so replies arrive late but complete.
+
+const log = getLogger('rate-limit');
+
+const MAX_TRACKED_CONTACTS = 10000;
+
+// `burst` tokens to start with, refilled continuously at `perMinute` (0 or less: no limit)
+export function createTokenBucket({ burst, perMinute }, now = Date.now) {
+  if (!(perMinute > 0)) return { take: () => true, waitTime: () => 0 };
+
+  let tokens = burst;
+  let updated = now();
+
+  function refill() {
+    const current = now();
+    tokens = Math.min(burst, tokens + (current - updated) * perMinute / 60000);
+    updated = current;
+  }
+
+  return {
+    take() {
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+    // Milliseconds until take() would succeed
+    waitTime() {
+      refill();
+      if (tokens >= 1) return 0;
+      return Math.ceil((1 - tokens) * 60000 / perMinute);
+    }
+  };
+}
+
+let limiter = null;
+
+function createLimiter() {
+  const contacts = () => new LRUCache({ max: MAX_TRACKED_CONTACTS });
+  return {
+    inbound: contacts(),
+    outbound: contacts(),
+    // jid -> { drops: [timestamps], noticeAt }
+    offenders: contacts(),
+    global: null,
+    globalOutbound: null
+  };
+}
+
+function getLimiter() {
+  if (!limiter) limiter = createLimiter();
+  return limiter;
+}
+
+// Forgets every bucket, e.g. between tests or after the limits changed
+export function resetRateLimits() {
+  limiter = null;
+}
+
+function bucketFor(cache, jid, limits) {
+  let bucket = cache.get(jid);
+  if (!bucket) {
+    bucket = createTokenBucket(limits);
+    cache.set(jid, bucket);
+  }
+  return bucket;
+}
+
+function globalBucket(name, limits) {
+  const state = getLimiter();
+  if (!state[name]) state[name] = createTokenBucket(limits);
+  return state[name];
+}
+
+// Counts a dropped message; says whether to send the notice or block the contact
+async function recordDrop(jid) {
+  const { noticeCooldownSeconds, blockAfter, blockWindowMinutes, blockMinutes } = getConfig().rateLimit;
+  const now = Date.now();
+  const offenders = getLimiter().offenders;
+  const record = offenders.get(jid) || { drops: [], noticeAt: 0 };
+  record.drops = record.drops.filter(at => now - at < blockWindowMinutes * 60000);
+  record.drops.push(now);
+  offenders.set(jid, record);
+
+  if (blockAfter > 0 && record.drops.length >= blockAfter) {
+    offenders.delete(jid);
+    await blockContact(jid, { reason: 'rate limit', by: 'auto', ttl: blockMinutes * 60000 });
+    log.warn({ jid }, `🚫 Blocked for ${blockMinutes} minutes after flooding`);
+    return { allowed: false, blocked: true, minutes: blockMinutes };
+  }
+
+  const notice = now - record.noticeAt >= noticeCooldownSeconds * 1000;
+  if (notice) record.noticeAt = now;
+  return { allowed: false, notice };
+}
+
+// { allowed: true } or { allowed: false, notice?, blocked?, minutes? }
+export async function checkInbound(jid) {
+  const config = getConfig().rateLimit;
+  if (!config.enabled) return { allowed: true };
+
+  // The contact's own bucket first, so a flood doesn't use up everyone's tokens
+  if (!bucketFor(getLimiter().inbound, jid, config.inbound.contact).take()) {
+    log.warn({ jid }, '⏳ Rate limited');
+    return recordDrop(jid);
+  }
+  if (!globalBucket('global', config.inbound.global).take()) {
+    log.warn({ jid }, '⏳ Global rate limit reached, dropping message');
+    return { allowed: false };
+  }
+  return { allowed: true };
+}
+
+// Waits until both the contact's and the global outbound bucket have a token
+async function acquireSend(jid) {
+  const config = getConfig().rateLimit;
+  if (!config.enabled) return;
+
+  const buckets = [
+    bucketFor(getLimiter().outbound, jid, config.outbound.contact),
+    globalBucket('globalOutbound', config.outbound.global)
+  ];
+  let waited = 0;
+  while (true) {
+    const wait = Math.max(...buckets.map(bucket => bucket.waitTime()));
+    if (wait === 0) {
+      buckets.forEach(bucket => bucket.take());
+      break;
+    }
+    waited += wait;
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+  if (waited > 0) log.debug({ jid }, `⏳ Reply held back ${waited}ms by the send limit`);
+}
+
+// The same socket with sendMessage going through the outbound limits
+export function limitSends(sock) {
+  const limited = Object.create(sock);
+  limited.sendMessage = async (jid, ...args) => {
+    await acquireSend(jid);
+    return sock.sendMessage(jid, ...args);
+  };
+  return limited;
+}
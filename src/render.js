@@ -0,0 +1,209 @@
+import { getConfig } from './config.js';
+import { numberEmoji } from './catalog.js';
+
+// Menus are described once and rendered in the form that suits the setting and the client:
+//   list    – one list message, its rows grouped in sections (paged past WhatsApp's 10 rows)
+//   buttons – numbered text plus buttons, one section per page with ⬅️/➡️ buttons
+//   text    – plain numbered text for clients that cannot show buttons or lists
+//
+// menu = {
+//   title?                                  – bold heading; gets "Page 2/3" when paged
+//   text?                                   – body shown above the options
+//   footer?
+//   sections?: [{ title?, rows: [{ id, title, button?, description?, number? }] }]
+//                                           – the choices; `number` is what the customer can type,
+//                                             `button` a shorter label for buttons and
+//                                             `description` may be a list of lines
+//   actions?: [{ id, title, keyword? }]     – extra buttons such as Main Menu; `keyword` is the
+//                                             word to type instead, listed in text mode
+//   paged?                                  – show one section at a time (page in state.page)
+// }
+// Row and action IDs arrive back as the message text, like any button or list reply.
+
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+
+const MODES = ['list', 'buttons', 'text'];
+
+// Which client sent the message, from the shape of its ID (same rules as Baileys' getDevice)
+function deviceOf(id = '') {
+  if (/^3A.{18}$/.test(id)) return 'ios';
+  if (/^3E.{20}$/.test(id)) return 'web';
+  if (/^(.{21}|.{32})$/.test(id)) return 'android';
+  if (/^(3F|.{18}$)/.test(id)) return 'desktop';
+  return 'unknown';
+}
+
+// → { device, interactive } for state.client; a tapped button or list row settles the question
+export function detectClient(msg) {
+  const device = deviceOf(msg.key?.id);
+  const replied = Boolean(msg.message?.buttonsResponseMessage || msg.message?.listResponseMessage);
+  return { device, interactive: replied || !getConfig().render.textDevices.includes(device) };
+}
+
+export function renderMode(state) {
+  const { mode } = getConfig().render;
+  if (state?.client && !state.client.interactive) return 'text';
+  return MODES.includes(mode) ? mode : 'buttons';
+}
+
+function lines(description) {
+  if (!description) return [];
+  return Array.isArray(description) ? description : [description];
+}
+
+// Rows without a `number` are numbered in order across all sections
+function numberRows(sections = []) {
+  let count = 0;
+  return sections
+    .filter(section => section.rows.length > 0)
+    .map(section => ({
+      ...section,
+      rows: section.rows.map(row => ({ ...row, number: row.number ?? ++count }))
+    }));
+}
+
+function formatRows(rows) {
+  const detailed = rows.some(row => lines(row.description).length > 0);
+  return rows.map(row => {
+    const title = detailed ? `*${row.title}*` : row.title;
+    return `${numberEmoji(row.number)} ${title}` + lines(row.description).map(line => `\n   - ${line}`).join('');
+  }).join(detailed ? '\n\n' : '\n');
+}
+
+function formatSections(sections) {
+  return sections
+    .map(section => (section.title ? `*${section.title}*\n` : '') + formatRows(section.rows))
+    .join('\n\n');
+}
+
+function join(...parts) {
+  return parts.filter(Boolean).join('\n\n');
+}
+
+function heading(ctx, menu, page, pages) {
+  if (!menu.title) return null;
+  return pages > 1 ? `*${menu.title} – ${ctx.t('render.page', { page, pages })}*` : `*${menu.title}*`;
+}
+
+// "Type *contact* for More Info" lines for actions shown without a button
+function keywordHints(ctx, actions) {
+  return actions
+    .filter(action => action.keyword)
+    .map(action => ctx.t('render.typeKeyword', { keyword: action.keyword, title: action.title }))
+    .join('\n');
+}
+
+function button(id, title) {
+  return { buttonId: id, buttonText: { displayText: title } };
+}
+
+function clampPage(ctx, pageCount) {
+  if (pageCount <= 1) return 1;
+  const page = Math.min(Math.max(ctx.state.page || 1, 1), pageCount);
+  ctx.update({ page });
+  return page;
+}
+
+function renderButtons(ctx, menu) {
+  const sections = numberRows(menu.sections);
+  const pages = menu.paged ? sections.length : 1;
+  const page = clampPage(ctx, pages);
+  const shown = menu.paged && pages > 1 ? [sections[page - 1]] : sections;
+
+  const navigation = [];
+  if (page > 1) navigation.push(button('prev_page', ctx.t('button.previous')));
+  if (page < pages) navigation.push(button('next_page', ctx.t('button.next')));
+
+  // WhatsApp shows three buttons at most. Page buttons come first, then the actions;
+  // actions that don't fit are listed as words to type instead
+  const actions = menu.actions || [];
+  const room = MAX_BUTTONS - navigation.length;
+  const fixed = [...navigation, ...actions.slice(0, room).map(action => button(action.id, action.title))];
+
+  // A handful of choices become buttons when they fit as well; otherwise they are answered by number
+  const rows = shown.flatMap(section => section.rows);
+  const rowButtons = rows.length + fixed.length <= MAX_BUTTONS ? rows.map(row => button(row.id, row.button || row.title)) : [];
+
+  return {
+    text: join(heading(ctx, menu, page, pages), menu.text, formatSections(shown), menu.footer, keywordHints(ctx, actions.slice(room))),
+    buttons: [...rowButtons, ...fixed]
+  };
+}
+
+// Fills each list message with up to `room` rows, continuing a section on the next page if needed
+function listPages(sections, room) {
+  const pages = [[]];
+  let used = 0;
+
+  for (const section of sections) {
+    let rows = section.rows;
+    while (rows.length > 0) {
+      if (used === room) {
+        pages.push([]);
+        used = 0;
+      }
+      const taken = rows.slice(0, room - used);
+      const page = pages[pages.length - 1];
+      const last = page[page.length - 1];
+      // Untitled sections (catalog pages) run together as one
+      if (last && !last.title && !section.title) last.rows = [...last.rows, ...taken];
+      else page.push({ ...section, rows: taken });
+      used += taken.length;
+      rows = rows.slice(taken.length);
+    }
+  }
+  return pages;
+}
+
+function renderList(ctx, menu) {
+  const sections = numberRows(menu.sections);
+  if (sections.length === 0) return renderButtons(ctx, menu);
+
+  const actions = menu.actions || [];
+  // WhatsApp shows at most 10 rows per list; long menus leave room for the ⬅️/➡️ rows
+  const total = sections.reduce((sum, section) => sum + section.rows.length, 0);
+  const room = MAX_LIST_ROWS - actions.length - (total > MAX_LIST_ROWS - actions.length ? 2 : 0);
+  const pages = listPages(sections, Math.max(room, 1));
+  const page = clampPage(ctx, pages.length);
+
+  const more = [
+    ...(page > 1 ? [{ id: 'prev_page', title: ctx.t('button.previous') }] : []),
+    ...(page < pages.length ? [{ id: 'next_page', title: ctx.t('button.next') }] : []),
+    ...actions
+  ];
+
+  const listSections = pages[page - 1].map(section => ({
+    title: section.title || ctx.t('render.choose'),
+    rows: section.rows.map(row => ({
+      rowId: row.id,
+      title: `${row.number}. ${row.title}`,
+      ...(row.description ? { description: lines(row.description).join(', ') } : {})
+    }))
+  }));
+  if (more.length > 0) {
+    listSections.push({ title: ctx.t('render.more'), rows: more.map(action => ({ rowId: action.id, title: action.title })) });
+  }
+
+  return {
+    text: join(heading(ctx, menu, page, pages.length), menu.text, menu.footer),
+    buttonText: ctx.t('button.options'),
+    sections: listSections
+  };
+}
+
+function renderText(ctx, menu) {
+  const hints = keywordHints(ctx, menu.actions || []);
+  return { text: join(heading(ctx, menu, 1, 1), menu.text, formatSections(numberRows(menu.sections)), menu.footer, hints) };
+}
+
+const renderers = { list: renderList, buttons: renderButtons, text: renderText };
+
+// Builds the message for `menu` in the conversation's render mode
+export function renderMenu(ctx, menu) {
+  return renderers[renderMode(ctx.state)](ctx, menu);
+}
+
+export async function sendMenu(ctx, menu) {
+  await ctx.send(renderMenu(ctx, menu));
+}
@@ -0,0 +1,224 @@
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { readEvents } from './analytics.js';
+import { getCatalog } from './catalog.js';
+import { localize } from './i18n.js';
+import { getSchedule } from './hours.js';
+import { getConfig } from './config.js';
+
+// Usage report over the analytics events (see analytics.js):
+//   services   views, distinct viewers, quote forms opened and leads per service
+//   funnels    sessions per category that saw the menu → a service → the quote form → a lead
+//   daily      distinct contacts per day, in the business-hours time zone
+//   dropOffs   where sessions without a lead stopped, once idle for the idle timeout
+//   averagePath navigation events per session
+
+const NAVIGATION = new Set(['menu_view', 'page_nav', 'service_view', 'contact_request', 'quote_start']);
+
+// The conversation step a session's last event leaves it on
+const STEPS = {
+  page_nav: 'menu.category',
+  service_view: 'menu.service',
+  contact_request: 'menu.contact',
+  quote_start: 'quote',
+  booking_start: 'booking',
+  estimate_start: 'estimate'
+};
+
+function stepOf(event) {
+  return event.type === 'menu_view' ? `menu.${event.menu}` : STEPS[event.type] || event.type;
+}
+
+function percent(part, whole) {
+  return whole > 0 ? `${Math.round(part / whole * 100)}%` : '–';
+}
+
+function dayOf(at, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(at));
+}
+
+export function buildReport(events, {
+  since = null,
+  now = Date.now(),
+  catalog = getCatalog(),
+  timeZone = getSchedule().timezone,
+  idleMinutes = getConfig().state.idleTimeoutMinutes
+} = {}) {
+  const selected = since ? events.filter(event => Date.parse(event.at) >= since) : events;
+
+  const services = new Map(Object.values(catalog.services).map(service => [service.id, {
+    serviceId: service.id,
+    title: localize(service.title, 'en'),
+    views: 0,
+    viewers: new Set(),
+    quotes: 0,
+    leads: 0
+  }]));
+  const funnels = new Map(catalog.categories.map(category => [category.id, {
+    category: category.id,
+    name: localize(category.name, 'en'),
+    menu: new Set(),
+    service: new Set(),
+    quote: new Set(),
+    lead: new Set()
+  }]));
+  const daily = new Map();
+  const paths = new Map();
+  // session -> its last event, and the sessions that ended in a lead
+  const last = new Map();
+  const converted = new Set();
+
+  for (const event of selected) {
+    const session = event.session || event.contact;
+    const service = services.get(event.serviceId);
+    const funnel = funnels.get(event.category);
+
+    const day = dayOf(event.at, timeZone);
+    if (!daily.has(day)) daily.set(day, new Set());
+    daily.get(day).add(event.contact);
+
+    if (NAVIGATION.has(event.type)) paths.set(session, (paths.get(session) || 0) + 1);
+    last.set(session, event);
+
+    switch (event.type) {
+      case 'menu_view':
+        if (event.menu === 'category') funnel?.menu.add(session);
+        break;
+      case 'service_view':
+        if (service) {
+          service.views++;
+          service.viewers.add(event.contact);
+        }
+        funnel?.service.add(session);
+        break;
+      case 'quote_start':
+        if (service) service.quotes++;
+        funnel?.quote.add(session);
+        break;
+      case 'lead_submitted':
+        if (service) service.leads++;
+        funnel?.lead.add(session);
+        converted.add(session);
+        break;
+    }
+  }
+
+  // Sessions still within the idle timeout may yet end in a lead
+  const idleBefore = now - idleMinutes * 60 * 1000;
+  const dropOffs = new Map();
+  for (const [session, event] of last) {
+    if (converted.has(session) || Date.parse(event.at) > idleBefore) continue;
+    const step = stepOf(event);
+    dropOffs.set(step, (dropOffs.get(step) || 0) + 1);
+  }
+
+  const lengths = [...paths.values()];
+  return {
+    from: selected[0]?.at ?? null,
+    to: selected.at(-1)?.at ?? null,
+    events: selected.length,
+    services: [...services.values()]
+      .map(({ viewers, ...service }) => ({ ...service, viewers: viewers.size }))
+      .sort((a, b) => b.views - a.views || b.leads - a.leads),
+    funnels: [...funnels.values()].map(funnel => ({
+      category: funnel.category,
+      name: funnel.name,
+      menu: funnel.menu.size,
+      service: funnel.service.size,
+      quote: funnel.quote.size,
+      lead: funnel.lead.size
+    })),
+    daily: [...daily.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, contacts]) => ({ date, contacts: contacts.size })),
+    dropOffs: [...dropOffs.entries()].sort((a, b) => b[1] - a[1]).map(([step, count]) => ({ step, count })),
+    sessions: lengths.length,
+    averagePath: lengths.length > 0 ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0
+  };
+}
+
+function table(head, rows) {
+  const output = new Table({ head, style: { head: ['cyan'], compact: true } });
+  output.push(...rows);
+  return output.toString();
+}
+
+export function formatReport(report) {
+  if (report.events === 0) return chalk.yellow('📭 No events recorded yet.');
+
+  const sections = [
+    chalk.bold(`📊 Usage report – ${report.events} events, ${report.from.slice(0, 10)} to ${report.to.slice(0, 10)}`),
+
+    chalk.bold('\n🔧 Services'),
+    table(['Service', 'Views', 'Contacts', 'Quote forms', 'Leads'],
+      report.services.map(s => [s.title, s.views, s.viewers, s.quotes, s.leads])),
+
+    chalk.bold('\n🪜 Category funnels (sessions)'),
+    table(['Category', 'Menu', 'Service', 'Quote form', 'Lead', 'Menu → lead'],
+      report.funnels.map(f => [f.name, f.menu, f.service, f.quote, f.lead, percent(f.lead, f.menu)])),
+
+    chalk.bold('\n📅 Daily active contacts'),
+    table(['Date', 'Contacts'], report.daily.map(d => [d.date, d.contacts]))
+  ];
+
+  if (report.dropOffs.length > 0) {
+    sections.push(chalk.bold('\n🚪 Drop-offs (idle conversations)'), table(['Last step', 'Count'], report.dropOffs.map(d => [d.step, d.count])));
+  }
+
+  sections.push(`\n🧭 Average path: ${report.averagePath.toFixed(1)} steps over ${report.sessions} sessions`);
+  return sections.join('\n');
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The header row is written even without rows, so imports of a quiet day still work
+function toCsv(columns, rows) {
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n') + '\n';
+}
+
+// Writes one CSV per table into `dir`; returns the file paths
+export function exportCsv(report, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = {
+    'services.csv': [['serviceId', 'title', 'views', 'quotes', 'leads', 'viewers'], report.services],
+    'funnels.csv': [['category', 'name', 'menu', 'service', 'quote', 'lead'], report.funnels],
+    'daily.csv': [['date', 'contacts'], report.daily],
+    'dropoffs.csv': [['step', 'count'], report.dropOffs],
+    'summary.csv': [
+      ['from', 'to', 'events', 'sessions', 'averagePath'],
+      [{ from: report.from, to: report.to, events: report.events, sessions: report.sessions, averagePath: report.averagePath.toFixed(2) }]
+    ]
+  };
+
+  return Object.entries(files).map(([name, [columns, rows]]) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, toCsv(columns, rows));
+    return file;
+  });
+}
+
+// `report [--days N] [--csv <dir>]`
+export function runReport(args = []) {
+  const option = name => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  const days = Number(option('--days'));
+  const since = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : null;
+
+  const report = buildReport(readEvents(), { since });
+  console.log(formatReport(report));
+
+  const csvDir = option('--csv');
+  if (csvDir) {
+    const files = exportCsv(report, path.resolve(csvDir));
+    console.log(chalk.green(`\n💾 CSV written: ${files.map(file => path.relative(process.cwd(), file)).join(', ')}`));
+  }
+  return report;
+}
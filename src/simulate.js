@@ -0,0 +1,179 @@
+import path from 'path';
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { resetConfig } from './config.js';
+import { resetLogging } from './logger.js';
+import { createStore } from './store/index.js';
+import { setStateStore, getStateStore } from './userState.js';
+import { setHandoffStore } from './handoff.js';
+import { setControlsStore } from './controls.js';
+import { setLeadQueueStore } from './leadQueue.js';
+import { setGroupStore } from './groups.js';
+import { setBookingStore } from './bookings.js';
+import { toJid } from './jid.js';
+import { handler } from './handler.js';
+
+// Terminal chat with handler() for checking menu texts and flows without a phone.
+// Replies are printed as they would arrive, buttons and list rows become choices and
+// every turn shows how the conversation state changed. Conversations, handoffs,
+// controls, queued leads and bookings live in memory; leads, estimates, the audit log,
+// usage events, inbox files, service cards and the bot's own log go to storage/simulate/.
+// Only errors from that log reach the terminal.
+
+const SIM_DIR = path.join('storage', 'simulate');
+const DEFAULT_NUMBER = '94770000001';
+
+const TYPE = Symbol('type');
+const QUIT = Symbol('quit');
+
+// Inbound message IDs in the shape of each client (see deviceOf in render.js)
+function messageId(device) {
+  const random = length => Array.from({ length }, () => '0123456789ABCDEF'[Math.floor(Math.random() * 16)]).join('');
+  if (device === 'web') return `3EB0${random(18)}`;
+  if (device === 'ios') return `3A${random(18)}`;
+  return random(32);
+}
+
+function choicesOf(content) {
+  const buttons = (content.buttons || []).map(button => ({
+    name: `🔘 ${button.buttonText.displayText}`,
+    value: { button: button.buttonId, title: button.buttonText.displayText }
+  }));
+  const rows = (content.sections || []).flatMap(section =>
+    section.rows.map(row => ({
+      name: `📋 ${row.title}${row.description ? chalk.gray(` – ${row.description}`) : ''}`,
+      value: { row: row.rowId, title: row.title }
+    }))
+  );
+  return [...buttons, ...rows];
+}
+
+function printReply(jid, from, content) {
+  const label = jid === from ? chalk.greenBright('🤖 Bot') : chalk.magentaBright(`🤖 Bot → ${jid}`);
+  const media = ['image', 'video', 'document'].find(type => content[type]);
+  const lines = [`\n${label}`];
+  if (media) lines.push(chalk.cyan(`[${media}: ${content.fileName || content[media].url}]`));
+  lines.push(content.text || content.caption || chalk.gray('(no text)'));
+  if (content.footer) lines.push(chalk.gray(content.footer));
+  if (content.buttonText) lines.push(chalk.cyan(`[ ${content.buttonText} ]`));
+  process.stdout.write(lines.join('\n') + '\n');
+}
+
+// Prints the sent messages and keeps the last choices offered to the simulated customer
+function createTerminalSock(from) {
+  const sock = {
+    choices: [],
+    async sendMessage(jid, content) {
+      printReply(jid, from, content);
+      if (jid === from) sock.choices = choicesOf(content);
+      return { key: { remoteJid: jid, id: messageId('android'), fromMe: true }, message: content };
+    }
+  };
+  return sock;
+}
+
+function formatValue(value) {
+  return value === undefined ? chalk.gray('–') : JSON.stringify(value);
+}
+
+function printStateChanges(before = {}, after = {}) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(key => key !== 'lastSeen' && JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+  if (keys.length === 0) {
+    console.log(chalk.gray('\n   state: unchanged'));
+    return;
+  }
+  console.log(chalk.gray('\n   state:'));
+  for (const key of keys) {
+    console.log(chalk.gray(`     ${key}: ${formatValue(before[key])} → `) + chalk.yellow(formatValue(after[key])));
+  }
+}
+
+function inboundMessage(from, answer, device) {
+  const key = { remoteJid: from, id: messageId(device), fromMe: false };
+  if (answer.button) {
+    return { key, message: { buttonsResponseMessage: { selectedButtonId: answer.button, selectedDisplayText: answer.title } } };
+  }
+  if (answer.row) {
+    return { key, message: { listResponseMessage: { title: answer.title, singleSelectReply: { selectedRowId: answer.row } } } };
+  }
+  return { key, message: { conversation: answer.text } };
+}
+
+async function ask(sock) {
+  if (sock.choices.length > 0) {
+    const { choice } = await inquirer.prompt([{
+      type: 'select',
+      name: 'choice',
+      message: 'Reply with',
+      choices: [
+        ...sock.choices,
+        new inquirer.Separator(),
+        { name: '✏️  Type a message', value: TYPE },
+        { name: '🚪 Quit', value: QUIT }
+      ],
+      pageSize: 15
+    }]);
+    if (choice !== TYPE) return choice;
+  }
+
+  const { text } = await inquirer.prompt([{
+    type: 'input',
+    name: 'text',
+    message: 'You:'
+  }]);
+  return /^\/(quit|exit)$/i.test(text.trim()) ? QUIT : { text };
+}
+
+// Chat as `number` until the user quits; `device` picks how menus render (android, ios, web)
+export async function runSimulator({ number = DEFAULT_NUMBER, device = 'android' } = {}) {
+  const from = toJid(number);
+  if (!from) throw new Error(`Invalid number for the simulator: ${number}`);
+
+  // Keep everything the simulation writes away from the real files, even when .env sets them
+  Object.assign(process.env, {
+    LEADS_FILE: path.join(SIM_DIR, 'requests.jsonl'),
+    ESTIMATES_FILE: path.join(SIM_DIR, 'estimates.jsonl'),
+    AUDIT_LOG: path.join(SIM_DIR, 'audit.log'),
+    ANALYTICS_FILE: path.join(SIM_DIR, 'events.jsonl'),
+    INBOX_DIR: path.join(SIM_DIR, 'inbox'),
+    CARD_CACHE_DIR: path.join(SIM_DIR, 'cards'),
+    LOG_FILE: path.join(SIM_DIR, 'bot.log')
+  });
+  process.env.LOG_CONSOLE_LEVEL ||= 'error';
+  resetConfig();
+  resetLogging();
+  setStateStore(createStore('memory'));
+  setHandoffStore(createStore('memory'));
+  setControlsStore(createStore('memory'));
+  setLeadQueueStore(createStore('memory'));
+  setGroupStore(createStore('memory'));
+  setBookingStore(createStore('memory'));
+
+  console.log(chalk.cyan(`🧪 Simulating ${chalk.bold(from)} on ${device}`));
+  console.log(chalk.gray('   Say something to start. Type /quit to leave.\n'));
+
+  const sock = createTerminalSock(from);
+
+  while (true) {
+    let answer;
+    try {
+      answer = await ask(sock);
+    } catch (error) {
+      // Ctrl+C inside a prompt
+      if (error.name === 'ExitPromptError') break;
+      throw error;
+    }
+    if (answer === QUIT) break;
+
+    const before = await getStateStore().get(from);
+    try {
+      await handler(sock, inboundMessage(from, answer, device));
+    } catch (error) {
+      console.error(chalk.red('❌ Handler error:'), error.message);
+    }
+    printStateChanges(before, await getStateStore().get(from));
+  }
+
+  console.log(chalk.yellow('\n👋 Simulation ended.'));
+}
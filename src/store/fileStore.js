@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { createMemoryStore } from './memoryStore.js';
+import { getLogger } from '../logger.js';
+
+const log = getLogger('store');
+
+// JSON file backend: an LRU in memory, snapshotted to disk shortly after each
+// write so conversations survive restarts. Expiry times are stored as absolute
+// timestamps and re-applied on load.
+export function createFileStore({ file, maxEntries = 5000, ttl = 0, writeDelay = 500 } = {}) {
+  const memory = createMemoryStore({ maxEntries, ttl });
+  let timer = null;
+
+  function readSnapshot() {
+    if (!fs.existsSync(file)) return [];
+
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data.entries) ? data.entries : [];
+    } catch (error) {
+      log.error({ err: error }, `❌ Could not read state file ${file}, starting empty`);
+      return [];
+    }
+  }
+
+  async function writeSnapshot() {
+    timer = null;
+    const now = Date.now();
+    const entries = (await memory.entries()).map(([key, value]) => {
+      const remaining = memory.remainingTtl(key);
+      return { key, value, expiresAt: remaining === Infinity ? null : Math.round(now + remaining) };
+    });
+
+    // Write to a temp file first so a crash mid-write never truncates the snapshot
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ savedAt: now, entries }));
+    fs.renameSync(temp, file);
+  }
+
+  function scheduleWrite() {
+    if (timer) return;
+    timer = setTimeout(() => {
+      writeSnapshot().catch(error => {
+        log.error({ err: error }, `❌ Could not write state file ${file}`);
+      });
+    }, writeDelay);
+    timer.unref?.();
+  }
+
+  const now = Date.now();
+  // Oldest first, so the LRU order matches the order entries were last used
+  for (const { key, value, expiresAt } of readSnapshot().reverse()) {
+    if (expiresAt === null) {
+      memory.set(key, value, { ttl: 0 });
+    } else if (expiresAt > now) {
+      memory.set(key, value, { ttl: expiresAt - now });
+    }
+  }
+
+  return {
+    get: memory.get,
+    entries: memory.entries,
+    remainingTtl: memory.remainingTtl,
+
+    async set(key, value, options) {
+      await memory.set(key, value, options);
+      scheduleWrite();
+    },
+
+    async delete(key) {
+      const deleted = await memory.delete(key);
+      scheduleWrite();
+      return deleted;
+    },
+
+    async flush() {
+      if (!timer) return;
+      clearTimeout(timer);
+      await writeSnapshot();
+    },
+
+    async close() {
+      await this.flush();
+      await memory.close();
+    }
+  };
+}
@@ -0,0 +1,38 @@
+import { createMemoryStore } from './memoryStore.js';
+import { createFileStore } from './fileStore.js';
+
+// Every backend implements the same async interface:
+//   get(key), set(key, value, { ttl }), delete(key), entries(), flush(), close()
+// `ttl` is in milliseconds; omit it to use the store's default.
+// There is no SQLite backend: the stores are small enough to snapshot as JSON, and
+// Node 20 has no built-in SQLite, so it would mean a native dependency to build.
+// Each module keeps its store behind a setter (setStateStore, setHandoffStore, ...)
+// so tests and the simulator can swap in an in-memory one.
+const backends = {
+  memory: createMemoryStore,
+  file: createFileStore
+};
+
+export function createStore(backend, options) {
+  const create = backends[backend];
+  if (!create) {
+    throw new Error(`Unknown store backend "${backend}" (expected: ${Object.keys(backends).join(', ')})`);
+  }
+  return create(options);
+}
+
+// Records the owners and customers rely on (handoffs, blocks, group settings, bookings,
+// queued leads) always go to `file()`, whatever STATE_BACKEND says, and are never
+// evicted. The store is created on first use, so the setting is read only then.
+export function recordStore(file) {
+  let store = null;
+  return {
+    get() {
+      if (!store) store = createFileStore({ file: file(), maxEntries: Infinity });
+      return store;
+    },
+    set(next) {
+      store = next;
+    }
+  };
+}
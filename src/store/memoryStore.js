@@ -0,0 +1,40 @@
+import { LRUCache } from 'lru-cache';
+
+// In-memory LRU backend. Oldest conversations are evicted once `maxEntries` is
+// reached (Infinity keeps everything) and entries expire `ttl` ms after their last
+// write (0 = never).
+export function createMemoryStore({ maxEntries = 5000, ttl = 0 } = {}) {
+  // lru-cache needs a bound, so an unbounded store counts entries against a size it never reaches
+  const cache = new LRUCache(maxEntries === Infinity
+    ? { maxSize: Number.MAX_SAFE_INTEGER, sizeCalculation: () => 1, ttl }
+    : { max: maxEntries, ttl });
+
+  return {
+    async get(key) {
+      return cache.get(key);
+    },
+
+    async set(key, value, options = {}) {
+      cache.set(key, value, options.ttl === undefined ? undefined : { ttl: options.ttl });
+    },
+
+    async delete(key) {
+      return cache.delete(key);
+    },
+
+    async entries() {
+      return [...cache.entries()];
+    },
+
+    // Milliseconds until `key` expires: Infinity without a TTL, 0 when missing
+    remainingTtl(key) {
+      return cache.getRemainingTTL(key);
+    },
+
+    async flush() {},
+
+    async close() {
+      cache.clear();
+    }
+  };
+}
@@ -1 +1,29 @@
-export const userState = new Map();
+import { getConfig } from './config.js';
+import { createStore } from './store/index.js';
+import { newSessionId } from './analytics.js';
+
+// Conversation state per JID, created on first use from the `state` settings
+let store = null;
+
+export function getStateStore() {
+  if (!store) {
+    const { backend, file, maxEntries, ttlMinutes } = getConfig().state;
+    store = createStore(backend, { file, maxEntries, ttl: ttlMinutes * 60 * 1000 });
+  }
+  return store;
+}
+
+export function setStateStore(next) {
+  store = next;
+}
+
+export function newConversation() {
+  return { step: 'start', page: 1, company: null, session: newSessionId() };
+}
+
+// True when the conversation has been quiet for longer than the idle timeout
+export function isIdle(state, now = Date.now()) {
+  const { idleTimeoutMinutes } = getConfig().state;
+  if (!idleTimeoutMinutes || !state?.lastSeen) return false;
+  return now - state.lastSeen > idleTimeoutMinutes * 60 * 1000;
+}
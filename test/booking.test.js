@@ -0,0 +1,147 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { setupBot, quiet, CUSTOMER } from './kit.js';
+import { getCatalog } from '../src/catalog.js';
+import { validateSchedule, scheduleFile, appointmentSlots } from '../src/hours.js';
+import { freeSlots, bookingDays, createBooking, listBookings, sendDueReminders } from '../src/bookings.js';
+
+const OTHER = '94772222222@s.whatsapp.net';
+const SHIPPED = scheduleFile();
+
+// Sunday 19:30 in Colombo; Monday's first consultation is at 10:00 (04:30 UTC)
+const SUNDAY_EVENING = new Date('2026-10-18T14:00:00Z');
+const MONDAY_TEN = '2026-10-19T04:30:00.000Z';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot({ SCHEDULE_FILE: SHIPPED });
+  mock.timers.enable({ apis: ['Date'], now: SUNDAY_EVENING });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  bot.cleanup();
+  restore();
+});
+
+const times = slots => slots.map(slot => slot.toISOString().slice(11, 16));
+
+test('slots follow the weekly availability, holidays and the notice period', async () => {
+  assert.deepEqual(validateSchedule({ timezone: 'Asia/Colombo', companies: { software: { hours: {}, appointments: { minutes: 0, hours: { mon: ['10-12'] } } } } }), [
+    'companies.software.appointments.minutes must be a whole number of minutes (5-480)',
+    'companies.software.appointments.hours.mon must be a list like ["09:00-18:00"]'
+  ]);
+  assert.deepEqual(validateSchedule(JSON.parse(fs.readFileSync(SHIPPED, 'utf8'))), []);
+
+  // 10:00, 11:00, 14:00, 15:00 and 16:00 in Colombo
+  assert.deepEqual(times(appointmentSlots('software', '2026-10-19')), ['04:30', '05:30', '08:30', '09:30', '10:30']);
+  // 45 minute slots that must end by 13:15
+  assert.deepEqual(times(appointmentSlots('digital', '2026-10-20')), ['05:30', '06:15', '07:00', '09:30', '10:15', '11:00', '11:45']);
+  assert.deepEqual(appointmentSlots('software', '2026-10-20'), []);
+  assert.deepEqual(appointmentSlots('software', '2026-12-25'), []);
+
+  // At 09:00 on Monday the 10:00 slot is inside the two hours' notice
+  const monday = Date.parse('2026-10-19T03:30:00Z');
+  assert.deepEqual(times(await freeSlots('software', '2026-10-19', { now: monday })), ['05:30', '08:30', '09:30', '10:30']);
+  assert.deepEqual((await bookingDays('software')).map(({ day }) => day), ['2026-10-19', '2026-10-21', '2026-10-23', '2026-10-26', '2026-10-28', '2026-10-30']);
+});
+
+test('a consultation is booked from the service page and comes with a calendar invite', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { say: 'service11', buttons: ['book_service11', 'quote_service11', 'back_to_welcome'] },
+    { tap: 'book_service11', reply: 'Pick a day for your consultation about *Digital Solutions & Consulting*', state: { step: 'booking.day' } },
+    { say: '1', reply: 'Free times on *Mon 19 Oct*', state: { step: 'booking.time' } },
+    { tap: `book_time_${MONDAY_TEN}`, reply: /Monday 19 October at 10:00 am[\s\S]*60 minutes/, buttons: ['book_confirm', 'book_back', 'book_cancel'] },
+    { tap: 'book_confirm', replies: 2, reply: 'Consultation booked!', state: { step: 'menu.service', booking: null } }
+  ]);
+
+  const [booking] = await listBookings();
+  assert.equal(booking.start, MONDAY_TEN);
+  assert.equal(booking.end, '2026-10-19T05:30:00.000Z');
+  assert.match(bot.sock.to(CUSTOMER)[0].text, new RegExp(booking.reference));
+
+  const invite = bot.sock.to(CUSTOMER)[1];
+  assert.equal(invite.mimetype, 'text/calendar');
+  assert.equal(invite.fileName, `${booking.reference}.ics`);
+  const ics = invite.document.toString();
+  assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(ics, /\r\nDTSTART:20261019T043000Z\r\nDTEND:20261019T053000Z\r\n/);
+  assert.ok(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+  assert.match(ics.replace(/\r\n /g, ''), /SUMMARY:Consultation: Digital Solutions & Consulting – NovoNex Software Solutions/);
+
+  // The slot is gone for everyone else, and can't be taken twice
+  assert.equal(times(await freeSlots('software', '2026-10-19'))[0], '05:30');
+  assert.equal(await createBooking({ jid: OTHER, serviceId: 'service11', company: 'software', start: MONDAY_TEN, lang: 'en' }), null);
+});
+
+test('a service with a booking and an estimate still leads back to the main menu', async () => {
+  const { services } = getCatalog();
+  services.service11.estimate = services.service3.estimate;
+  try {
+    await bot.run([
+      { say: 'hi' },
+      { say: '1' },
+      { say: 'service11', buttons: ['book_service11', 'quote_service11', 'back_to_welcome'] },
+      // Estimate Price didn't fit, but can be typed
+      { say: 'estimate', reply: 'Price Estimate', state: { step: 'estimate.question' } }
+    ]);
+  } finally {
+    delete services.service11.estimate;
+  }
+});
+
+test('customers can list, reschedule and cancel their bookings', async () => {
+  await createBooking({ jid: CUSTOMER, serviceId: 'service13', company: 'digital', start: '2026-10-20T05:30:00.000Z', lang: 'en' });
+  const [{ reference }] = await listBookings();
+
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { say: 'bookings', reply: new RegExp(`${reference}\\* – Digital Marketing Strategy\\n   📅 Tuesday 20 October at 11:00 am`) },
+    { say: 'reschedule', reply: 'Pick a day', state: { booking: { serviceId: 'service13', company: 'digital', reschedule: reference, options: ['2026-10-20', '2026-10-22', '2026-10-27', '2026-10-29'] } } },
+    // Back from the day list leaves without changing anything
+    { say: 'back', reply: 'No booking was made or changed', state: { step: 'menu.service' } },
+    { say: `reschedule ${reference.toLowerCase()}` },
+    { say: '2' },
+    { say: '1', reply: 'Thursday 22 October at 11:00 am' },
+    { say: 'yes', replies: 2, reply: 'Consultation moved!' }
+  ]);
+
+  let [booking] = await listBookings();
+  assert.equal(booking.start, '2026-10-22T05:30:00.000Z');
+  assert.equal(booking.sequence, 1);
+  assert.match(bot.sock.to(CUSTOMER)[1].document.toString(), /SEQUENCE:1/);
+
+  await bot.run([
+    { say: 'cancel booking', replies: 2, reply: `Your consultation *${reference}* on Thursday 22 October at 11:00 am has been cancelled` },
+    { say: 'cancel booking', reply: 'no upcoming consultations' }
+  ]);
+  [booking] = await listBookings();
+  assert.equal(booking.status, 'cancelled');
+  // The cancelled consultation's slot is free again
+  assert.equal((await freeSlots('digital', '2026-10-22')).length, 7);
+});
+
+test('reminders go out once, shortly before the appointment', async () => {
+  await createBooking({ jid: CUSTOMER, serviceId: 'service11', company: 'software', start: MONDAY_TEN, lang: 'en' });
+
+  assert.equal(await sendDueReminders(bot.sock, Date.parse('2026-10-19T03:00:00Z')), 0);
+
+  // A reminder that can't be sent, e.g. while disconnected, is tried again on the next sweep
+  const send = bot.sock.sendMessage;
+  bot.sock.sendMessage = async () => {
+    bot.sock.sendMessage = send;
+    throw new Error('Connection Closed');
+  };
+  assert.equal(await sendDueReminders(bot.sock, Date.parse('2026-10-19T03:40:00Z')), 0);
+  assert.equal((await listBookings())[0].remindedAt, null);
+  assert.equal(await sendDueReminders(bot.sock, Date.parse('2026-10-19T03:45:00Z')), 1);
+  assert.match(bot.sock.to(CUSTOMER)[0].text, /Reminder:\* your consultation about Digital Solutions & Consulting is on Monday 19 October at 10:00 am/);
+  assert.equal(await sendDueReminders(bot.sock, Date.parse('2026-10-19T04:00:00Z')), 0);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { catalogFile, validateCatalog, getCatalog } from '../src/catalog.js';
+import { matchIntent, matchCategory } from '../src/intent.js';
+
+const raw = () => JSON.parse(fs.readFileSync(catalogFile(), 'utf8'));
+
+test('the shipped catalog is valid', () => {
+  assert.deepEqual(validateCatalog(raw()), []);
+});
+
+test('validation names the broken parts', () => {
+  const data = raw();
+  data.categories[0].pages[0].push('service99');
+  data.services.service1.keywords = 'software';
+  delete data.services.service2.title;
+
+  assert.deepEqual(validateCatalog(data), [
+    'categories[0].pages[0] references unknown service "service99"',
+    'services.service1.keywords must be a list of strings',
+    'services.service2.title must be a text'
+  ]);
+});
+
+test('free text finds the closest services', () => {
+  const catalog = getCatalog();
+  const top = text => matchIntent(text, catalog)?.matches.map(match => match.serviceId);
+
+  assert.deepEqual(top('I need an online shop')[0], 'service4');
+  assert.deepEqual(top('how much for a logo'), ['service12', 'service19']);
+  assert.equal(matchIntent('how much for a logo', catalog).confident, false);
+  // Typos and plurals
+  assert.equal(top('android apps')[0], 'service5');
+  assert.equal(top('webiste')[0], 'service3');
+  assert.equal(matchIntent('hello there', catalog), null);
+});
+
+test('a bare category name opens the category', () => {
+  assert.equal(matchCategory('software')?.id, 'software');
+  assert.equal(matchCategory('Digital Works please')?.id, 'digital');
+  assert.equal(matchCategory('digital marketing'), null);
+});
@@ -0,0 +1,119 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setupBot } from './kit.js';
+import { parseCli, applySettings, settingSource, validateSettings, readSession, removeSession } from '../src/cli.js';
+import { validatePhone } from '../src/phone.js';
+import { getConfig } from '../src/config.js';
+
+let bot;
+let saved;
+
+beforeEach(() => {
+  bot = setupBot();
+  saved = { ...process.env };
+});
+
+afterEach(() => {
+  for (const key of Object.keys(process.env)) if (!(key in saved)) delete process.env[key];
+  Object.assign(process.env, saved);
+  bot.cleanup();
+});
+
+test('commands, flags and the old bare-number form are parsed', () => {
+  assert.deepEqual({ ...parseCli([]), flags: {} }, { command: 'start', flags: {}, args: [] });
+  assert.equal(parseCli(['94771234567']).flags.number, '94771234567');
+  assert.equal(parseCli(['94771234567']).command, 'start');
+  assert.equal(parseCli(['start', '94771234567']).flags.number, '94771234567');
+
+  const pair = parseCli(['pair', '-n', '94771234567', '--session-dir', 'auth']);
+  assert.equal(pair.command, 'pair');
+  assert.equal(pair.flags['session-dir'], 'auth');
+  assert.deepEqual(parseCli(['simulate', '94770000000', 'ios']).args, ['94770000000', 'ios']);
+  assert.equal(parseCli(['status', '--help']).command, 'help');
+
+  assert.throws(() => parseCli(['restart']), /Unknown command "restart"/);
+  assert.throws(() => parseCli(['start', '--numbr', '1']), /Unknown option/);
+});
+
+test('flags win over the environment, which wins over the config file', () => {
+  const file = path.join(bot.dir, 'wabot.config.json');
+  fs.writeFileSync(file, JSON.stringify({ WA_NUMBER: '94770000001', LOG_LEVEL: 'debug', OWNER_NUMBERS: ['94770000002', '94770000003'], SESSION_DIR: 'from-file' }));
+  process.env.LOG_LEVEL = 'warn';
+  delete process.env.WA_NUMBER;
+  delete process.env.OWNER_NUMBERS;
+  delete process.env.SESSION_DIR;
+
+  const { file: used } = applySettings({ config: file, 'session-dir': path.join(bot.dir, 'auth') });
+  assert.equal(used, file);
+
+  const config = getConfig();
+  assert.equal(config.whatsapp.number, '94770000001');
+  assert.equal(config.logging.level, 'warn');
+  assert.deepEqual(config.admin.owners, ['94770000002', '94770000003']);
+  assert.equal(config.whatsapp.sessionDir, path.join(bot.dir, 'auth'));
+  assert.equal(settingSource('WA_NUMBER'), 'file');
+  assert.equal(settingSource('LOG_LEVEL'), 'env');
+  assert.equal(settingSource('SESSION_DIR'), 'flag');
+
+  fs.writeFileSync(file, '{"LOG": {"level": "debug"}}');
+  assert.throws(() => applySettings({ config: file }), /must be a string, number, boolean or list/);
+});
+
+test('phone numbers are checked against their country code', () => {
+  assert.deepEqual(validatePhone('+94 77 123 4567'), { valid: true, number: '94771234567', country: 'LK' });
+  assert.equal(validatePhone('0771234567').number, '94771234567');
+  assert.equal(validatePhone('0771234567', { defaultCountry: '' }).valid, false);
+  assert.equal(validatePhone('00447911123456').country, 'GB');
+  assert.equal(validatePhone('919876543210').country, 'IN');
+
+  assert.match(validatePhone('9477123456').reason, /LK numbers have 11 digits/);
+  assert.match(validatePhone('97150123456').reason, /AE numbers have 12 digits/);
+  assert.equal(validatePhone('94abc').valid, false);
+  assert.equal(validatePhone('').valid, false);
+
+  // Landlines pass with a warning; unlisted countries only get the length check
+  assert.match(validatePhone('94112345678').warning, /not a LK mobile number/);
+  assert.equal(validatePhone('35312345678').valid, true);
+  assert.equal(validatePhone('3531234').valid, false);
+});
+
+test('validate-config reports bad numbers, choices and unknown file settings', () => {
+  process.env.WA_NUMBER = '947712345';
+  process.env.OWNER_NUMBERS = '94771234567';
+  process.env.RENDER_MODE = 'cards';
+  process.env.HANDOFF_TIMEOUT_MINUTES = 'soon';
+  applySettings({});
+
+  const { errors, warnings } = validateSettings({ WA_NUBMER: '94771234567' });
+  assert.ok(errors.some(error => error.startsWith('WA_NUMBER 947712345')));
+  assert.ok(errors.some(error => error.startsWith('RENDER_MODE must be one of')));
+  assert.ok(errors.some(error => error.startsWith('HANDOFF_TIMEOUT_MINUTES must be a number')));
+  assert.deepEqual(warnings, ['Config file: unknown setting WA_NUBMER']);
+
+  process.env.WA_NUMBER = '94771234568';
+  delete process.env.RENDER_MODE;
+  delete process.env.HANDOFF_TIMEOUT_MINUTES;
+  applySettings({});
+  assert.deepEqual(validateSettings().errors, []);
+});
+
+test('sessions are read and only removed when the directory holds a session', () => {
+  const dir = path.join(bot.dir, 'session');
+  assert.equal(readSession(dir), null);
+  assert.equal(removeSession(dir), false);
+
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'creds.json'), JSON.stringify({ me: { id: '94771234567:3@s.whatsapp.net' } }));
+  assert.deepEqual(readSession(dir), { registered: false, id: '94771234567:3@s.whatsapp.net', name: null });
+  fs.writeFileSync(path.join(dir, 'creds.json'), JSON.stringify({ me: { id: '94771234567:3@s.whatsapp.net', name: 'NovoNex' }, account: {} }));
+  fs.writeFileSync(path.join(dir, 'pre-key-1.json'), '{}');
+  assert.equal(readSession(dir).registered, true);
+
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep');
+  assert.throws(() => removeSession(dir), /not part of a WhatsApp session \(notes.txt\)/);
+  fs.rmSync(path.join(dir, 'notes.txt'));
+  assert.equal(removeSession(dir), true);
+  assert.equal(fs.existsSync(dir), false);
+});
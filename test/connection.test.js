@@ -0,0 +1,129 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { setupBot } from './kit.js';
+import { backoffDelay, createConnectionManager, DISCONNECT_REASONS } from '../src/connection.js';
+import { getHealth, renderMetrics, resetMetrics } from '../src/metrics.js';
+
+let bot;
+
+beforeEach(() => {
+  bot = setupBot();
+  resetMetrics();
+});
+
+afterEach(() => bot.cleanup());
+
+const settings = { baseMs: 1, maxMs: 4, maxRetries: 3 };
+
+function fakeSocket() {
+  const sock = { ev: new EventEmitter(), ended: false };
+  sock.end = () => { sock.ended = true; };
+  return sock;
+}
+
+function closeWith(sock, statusCode) {
+  const error = Object.assign(new Error('Connection Failure'), { output: { statusCode } });
+  sock.ev.emit('connection.update', { connection: 'close', lastDisconnect: { error } });
+}
+
+const tick = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Records every socket it creates
+function managerWith(options = {}) {
+  const sockets = [];
+  const fatal = [];
+  const manager = createConnectionManager({
+    createSocket: async listen => {
+      const sock = fakeSocket();
+      listen(sock, 'creds.update', () => {});
+      sockets.push(sock);
+      return sock;
+    },
+    setup: (sock, on) => on('messages.upsert', () => {}),
+    onFatal: reason => fatal.push(reason),
+    settings,
+    ...options
+  });
+  return { manager, sockets, fatal };
+}
+
+test('backoff doubles from the base delay, stays under the cap and is jittered', () => {
+  const limits = { baseMs: 1000, maxMs: 30000 };
+  assert.equal(backoffDelay(1, limits, () => 1), 1000);
+  assert.equal(backoffDelay(3, limits, () => 1), 4000);
+  assert.equal(backoffDelay(10, limits, () => 1), 30000);
+  assert.equal(backoffDelay(3, limits, () => 0), 2000);
+  for (let index = 0; index < 20; index++) {
+    const delay = backoffDelay(2, limits);
+    assert.ok(delay >= 1000 && delay <= 2000);
+  }
+});
+
+test('a dropped connection tears down the old socket and reconnects with a new one', async () => {
+  const { manager, sockets } = managerWith();
+  await manager.start();
+  const [first] = sockets;
+  first.ev.emit('connection.update', { connection: 'open' });
+  assert.equal((await getHealth()).connection, 'open');
+
+  closeWith(first, 428);
+  assert.equal(first.ended, true);
+  assert.equal(first.ev.eventNames().length, 0);
+  assert.equal(manager.attempts, 1);
+  assert.equal((await getHealth()).connection, 'reconnecting');
+
+  await tick();
+  assert.equal(sockets.length, 2);
+  assert.equal(manager.socket, sockets[1]);
+  assert.deepEqual(sockets[1].ev.eventNames().sort(), ['connection.update', 'creds.update', 'messages.upsert']);
+  sockets[1].ev.emit('connection.update', { connection: 'open' });
+  assert.equal(manager.attempts, 0);
+  assert.match(await renderMetrics(), /wabot_reconnects_total 1/);
+
+  // Restarts requested by WhatsApp happen straight away and are not counted
+  closeWith(sockets[1], DISCONNECT_REASONS.restartRequired);
+  await tick(0);
+  assert.equal(sockets.length, 3);
+  assert.equal(manager.attempts, 0);
+
+  manager.stop();
+  assert.equal(sockets[2].ended, true);
+  assert.equal((await getHealth()).connection, 'stopped');
+});
+
+test('logged out, broken and replaced sessions stop instead of reconnecting', async () => {
+  for (const [reason, code] of [['loggedOut', 401], ['badSession', 500], ['connectionReplaced', 440]]) {
+    const { manager, sockets, fatal } = managerWith();
+    await manager.start();
+    closeWith(sockets[0], code);
+    await tick();
+    assert.deepEqual(fatal, [reason]);
+    assert.equal(sockets.length, 1);
+    assert.equal(sockets[0].ended, true);
+    assert.equal(manager.socket, null);
+  }
+  assert.equal((await getHealth()).connection, 'stopped');
+});
+
+test('failing connection attempts back off and give up after the retry limit', async () => {
+  let calls = 0;
+  const { manager, fatal } = managerWith({
+    createSocket: async () => {
+      calls++;
+      throw new Error('timeout');
+    }
+  });
+  await manager.start();
+  await tick(100);
+  assert.equal(calls, settings.maxRetries + 1);
+  assert.deepEqual(fatal, ['retries']);
+
+  // Nothing is scheduled after stop()
+  const stopped = managerWith({ createSocket: async () => { calls++; throw new Error('timeout'); } });
+  calls = 0;
+  await stopped.manager.start();
+  stopped.manager.stop();
+  await tick(50);
+  assert.equal(calls, 1);
+});
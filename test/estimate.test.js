@@ -0,0 +1,128 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { setupBot, quiet, conversation, CUSTOMER } from './kit.js';
+import { handler } from '../src/handler.js';
+import { validateCatalog, catalogFile, getCatalog } from '../src/catalog.js';
+import { priceEstimate, readEstimates, latestEstimate } from '../src/estimates.js';
+import { readLeads } from '../src/leads.js';
+
+const OWNER = '94711111111@s.whatsapp.net';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot({ OWNER_NUMBERS: '94711111111' });
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+const openEstimate = [
+  { say: 'hi' },
+  { say: '1' },
+  { tap: 'service3', buttons: ['estimate_service3', 'quote_service3', 'back_to_welcome'] },
+  { tap: 'estimate_service3', reply: 'Price Estimate* (1/3)', state: { step: 'estimate.question' } }
+];
+
+test('estimate rules are validated and priced into ranges', () => {
+  const data = JSON.parse(fs.readFileSync(catalogFile(), 'utf8'));
+  assert.deepEqual(validateCatalog(data), []);
+
+  data.services.service3.estimate.base.price = [75000, 45000];
+  data.services.service3.estimate.questions[0].max = 0;
+  data.services.service3.estimate.questions[1].id = 'pages';
+  data.services.service5.estimate.questions[0].options[2].percent = '60%';
+  assert.deepEqual(validateCatalog(data), [
+    'services.service3.estimate.base.price must be a number or a [min, max] range',
+    'services.service3.estimate.questions[0] must have options, or whole numbers min and max (min <= max)',
+    'services.service3.estimate.questions[1].id "pages" is used twice',
+    'services.service5.estimate.questions[0].options[2].percent must be a number'
+  ]);
+
+  // A second platform adds 60% of the fixed prices; screens up to 5 are included
+  const app = getCatalog().services.service5;
+  assert.deepEqual(priceEstimate(app, { platforms: 2, screens: 5, features: [] }), {
+    items: [
+      { text: 'Base app (up to 5 screens, one platform)', price: [150000, 250000] },
+      { text: 'Platforms (Android & iOS)', price: [90000, 150000] },
+      { text: 'Screens (5)', price: [0, 0] }
+    ],
+    price: [240000, 400000],
+    weeks: [7, 10]
+  });
+  assert.equal(priceEstimate(app, { platforms: 0, screens: 7, features: [3] }, 'si').items[3].text, 'පරිපාලක උපකරණ පුවරුව');
+});
+
+test('answers turn into an itemised estimate that is saved in English', async () => {
+  await bot.run([
+    ...openEstimate,
+    { say: '0', reply: 'number from 1 to 50', state: { estimate: { serviceId: 'service3', index: 0, answers: {} } } },
+    { say: '8', reply: '(2/3)' },
+    { say: 'back', reply: '(1/3)' },
+    { say: '8' },
+    { say: '2', reply: /\(3\/3\)[\s\S]*1️⃣ Contact & enquiry forms/ },
+    { say: '1, 9', reply: 'numbers from 1 to 5' },
+    { say: '3 1', state: { step: 'menu.service', service: 'service3', estimate: null }, buttons: ['quote_service3', 'back_to_welcome'] }
+  ]);
+
+  const estimate = bot.sock.to(CUSTOMER)[0].text;
+  assert.ok(estimate.includes([
+    '• Base website (up to 5 pages, 1 language): LKR 45,000 – 75,000',
+    '• Pages (8): LKR 18,000 – 30,000',
+    '• Languages (2): LKR 25,800 – 43,800',
+    '• Contact & enquiry forms: LKR 5,000 – 10,000',
+    '• Online payments: LKR 35,000 – 60,000'
+  ].join('\n')), estimate);
+  assert.match(estimate, /Estimated total: LKR 128,800 – 218,800\*\n⏱️ Delivery: about 5–7 weeks/);
+  assert.match(estimate, /not a quotation/);
+
+  const [saved] = readEstimates();
+  assert.match(saved.reference, /^ES-\d{8}-[0-9A-F]{4}$/);
+  assert.equal(saved.service, 'Website Development');
+  assert.deepEqual(saved.answers, { pages: 8, languages: 2, extras: [0, 2] });
+  assert.deepEqual(saved.price, [128800, 218800]);
+  assert.ok(estimate.includes(saved.reference));
+});
+
+test('the latest estimate goes with a quote request for the service', async () => {
+  await bot.run([...openEstimate, { say: '3' }, { say: '1' }, { say: '0' }]);
+  const [{ reference }] = readEstimates();
+
+  await bot.run([
+    { tap: 'quote_service3' },
+    { say: 'Kamal Perera' },
+    { say: 'none' },
+    { say: '2' },
+    { say: '4' },
+    { say: 'Small website for my bakery', reply: `🧮 *Estimate:* LKR 45,000 – 75,000 (${reference})` },
+    { tap: 'quote_submit', reply: 'Thank you, Kamal Perera!' }
+  ]);
+  const [lead] = readLeads();
+  assert.deepEqual(lead.estimate, { reference, price: [45000, 75000] });
+
+  bot.sock.clear();
+  await handler(bot.sock, conversation(OWNER, '!leads'));
+  assert.match(bot.sock.to(OWNER)[0].text, new RegExp(`🧮 Estimate ${reference}: LKR 45,000 – 75,000`));
+
+  // Old estimates and other services' estimates are not attached
+  assert.equal(latestEstimate(CUSTOMER, 'service3', Date.now() + 31 * 24 * 60 * 60 * 1000), null);
+  assert.equal(latestEstimate(CUSTOMER, 'service5'), null);
+});
+
+test('services without rules have no estimate, and it can be cancelled', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'service4' },
+    { say: 'how much?', reply: 'E-Commerce Solutions', state: { step: 'menu.service' } },
+    { tap: 'service5' },
+    { say: 'price', reply: 'Which *platforms*', buttons: ['1', '2', '3'] },
+    { say: 'cancel', reply: 'Price estimate cancelled', state: { step: 'menu.service', service: 'service5', estimate: null } }
+  ]);
+  assert.deepEqual(readEstimates(), []);
+});
@@ -0,0 +1,134 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBot, quiet, groupText, conversation, BOT } from './kit.js';
+import { handler } from '../src/handler.js';
+import { handleGroupParticipants, getGroupSettings } from '../src/groups.js';
+
+const GROUP = '120363041234567890@g.us';
+const OWNER = '94711111111@s.whatsapp.net';
+const MEMBER = '94772222222@s.whatsapp.net';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot({ OWNER_NUMBERS: '94711111111' });
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+async function inGroup(from, text, options) {
+  bot.sock.clear();
+  await handler(bot.sock, groupText(GROUP, from, text, options));
+}
+
+test('groups stay silent until an owner enables them', async () => {
+  await inGroup(MEMBER, '/menu');
+  await inGroup(MEMBER, 'hello', { mentions: [BOT] });
+  assert.equal(bot.sock.sent.length, 0);
+
+  // Members can't enable it, and other admin commands are never answered in a group
+  await inGroup(MEMBER, '!group on');
+  await inGroup(OWNER, '!stats');
+  assert.equal(bot.sock.sent.length, 0);
+
+  await inGroup(OWNER, '!group on');
+  assert.match(bot.sock.to(GROUP)[0].text, /Bot enabled in this group/);
+  assert.equal((await getGroupSettings(GROUP)).enabled, true);
+
+  await inGroup(MEMBER, 'anyone here used NovoNex before?');
+  assert.equal(bot.sock.sent.length, 0);
+});
+
+test('menus go to the sender privately, short answers stay in the group', async () => {
+  await inGroup(OWNER, '!group on');
+
+  await inGroup(MEMBER, '/menu');
+  const [notice] = bot.sock.to(GROUP);
+  assert.match(notice.text, /@94772222222, I've sent you our menu in a private chat/);
+  assert.deepEqual(notice.mentions, [MEMBER]);
+  // The group's language is used unless the member already picked one
+  assert.match(bot.sock.to(MEMBER)[0].text, /Welcome to NovoNex/);
+  assert.equal((await bot.state.get(MEMBER)).lang, 'en');
+
+  // The private conversation carries on as usual
+  bot.sock.clear();
+  await handler(bot.sock, conversation(MEMBER, '1'));
+  assert.equal((await bot.state.get(MEMBER)).step, 'menu.category');
+
+  await inGroup(MEMBER, '@94700000001 contact', { mentions: [BOT] });
+  assert.match(bot.sock.to(GROUP)[0].text, /Hotline/);
+
+  await inGroup(MEMBER, '@94700000001', { mentions: ['94700000001@s.whatsapp.net'] });
+  assert.match(bot.sock.to(GROUP)[0].text, /Bot commands in this group[\s\S]*\/menu[\s\S]*\/hours/);
+
+  await inGroup(MEMBER, '/hours');
+  assert.match(bot.sock.to(GROUP)[0].text, /Open now|Closed now/);
+});
+
+test('owners choose the commands and language per group', async () => {
+  await inGroup(OWNER, '!group on');
+  await inGroup(OWNER, '!group commands menu');
+  await inGroup(OWNER, '!group lang si');
+  assert.deepEqual((await getGroupSettings(GROUP)).commands, ['menu']);
+
+  await inGroup(MEMBER, '/contact');
+  assert.match(bot.sock.to(GROUP)[0].text, /\/contact\*/);
+
+  await inGroup(MEMBER, '/help');
+  const help = bot.sock.to(GROUP)[0].text;
+  assert.match(help, /\/menu/);
+  assert.doesNotMatch(help, /\/contact|\/hours/);
+
+  await inGroup(OWNER, '!group commands everything');
+  assert.match(bot.sock.to(GROUP)[0].text, /Usage: !group commands/);
+
+  // From a private chat the group is named by its JID
+  bot.sock.clear();
+  await handler(bot.sock, conversation(OWNER, `!group ${GROUP} off`));
+  assert.match(bot.sock.to(OWNER)[0].text, /Bot disabled in 120363041234567890@g.us/);
+  await handler(bot.sock, conversation(OWNER, '!groups'));
+  assert.match(bot.sock.to(OWNER).at(-1).text, /not enabled in any group/);
+});
+
+test('new members get the group\'s welcome message', async () => {
+  await inGroup(OWNER, '!group on');
+  const join = participants => handleGroupParticipants(bot.sock, { id: GROUP, participants, action: 'add' });
+
+  // Off until an owner turns it on
+  bot.sock.clear();
+  await join([MEMBER]);
+  assert.equal(bot.sock.sent.length, 0);
+
+  await inGroup(OWNER, '!group welcome on');
+  bot.sock.clear();
+  await join([MEMBER, { id: '94773333333@s.whatsapp.net' }]);
+  assert.match(bot.sock.to(GROUP)[0].text, /Welcome @94772222222, @94773333333! Send \*\/menu\*/);
+  assert.equal(bot.sock.to(GROUP)[0].mentions.length, 2);
+
+  await inGroup(OWNER, '!group welcome Hi {names}, please read the pinned rules.');
+  bot.sock.clear();
+  await join([MEMBER]);
+  await join(['94700000001:7@s.whatsapp.net']);
+  await handleGroupParticipants(bot.sock, { id: GROUP, participants: [MEMBER], action: 'remove' });
+  assert.deepEqual(bot.sock.to(GROUP).map(message => message.text), ['Hi @94772222222, please read the pinned rules.']);
+});
+
+test('group chatter does not use up a member\'s rate limit', async () => {
+  bot.cleanup();
+  bot = setupBot({ OWNER_NUMBERS: '94711111111', RATE_LIMIT_ENABLED: 'true', RATE_LIMIT_CONTACT_BURST: '2', RATE_LIMIT_CONTACT_PER_MINUTE: '1' });
+  await inGroup(OWNER, '!group on');
+
+  for (let index = 0; index < 5; index++) await inGroup(MEMBER, `message ${index}`);
+  await inGroup(MEMBER, '/help');
+  assert.equal(bot.sock.to(GROUP).length, 1);
+
+  // Commands do count, and floods are dropped without a notice in the group
+  await inGroup(MEMBER, '/help');
+  await inGroup(MEMBER, '/help');
+  assert.equal(bot.sock.sent.length, 0);
+});
@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBot, quiet, conversation, extendedText, CUSTOMER } from './kit.js';
+import { handler } from '../src/handler.js';
+
+const AGENT = '94770000000@s.whatsapp.net';
+const OWNER = '94711111111@s.whatsapp.net';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot({ AGENT_NUMBER: '94770000000', OWNER_NUMBERS: '94711111111' });
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+async function fromAgent(text, options) {
+  bot.sock.clear();
+  await handler(bot.sock, options?.quoted ? extendedText(AGENT, text, options) : conversation(AGENT, text));
+}
+
+test('a customer is relayed to the agent until the handoff is closed', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'service5' },
+    { tap: 'contact_info', buttons: ['talk_to_agent'] },
+    { tap: 'talk_to_agent', reply: 'Connecting you' }
+  ]);
+  assert.match(bot.sock.to(AGENT)[0].text, /New handoff #1[\s\S]*Mobile Application Development/);
+
+  await bot.run([{ say: 'Can you build an iPhone app?', replies: 0 }]);
+  assert.match(bot.sock.to(AGENT)[0].text, /\[#1\][\s\S]*iPhone app/);
+
+  await fromAgent('#1 Yes, we can!');
+  assert.match(bot.sock.to(CUSTOMER)[0].text, /Yes, we can!/);
+
+  await fromAgent('Sure, send me the details', { quoted: '💬 [#1] +94771234567:\nCan you build an iPhone app?' });
+  assert.match(bot.sock.to(CUSTOMER)[0].text, /send me the details/);
+
+  await fromAgent('!close 1');
+  assert.equal(bot.sock.to(CUSTOMER).length, 1);
+
+  await bot.run([{ say: 'thanks', reply: 'Welcome to NovoNex' }]);
+});
+
+test('only a message asking for an agent opens a handoff', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { say: 'website for my travel agent business', reply: 'Website Development' },
+    { say: 'human resources system', replies: 1 }
+  ]);
+  assert.deepEqual(bot.sock.to(AGENT), []);
+
+  await bot.run([{ say: 'Talk to an agent', reply: 'Connecting you' }]);
+  assert.match(bot.sock.to(AGENT)[0].text, /New handoff #1/);
+});
+
+test('owners can pause the bot and block contacts', async () => {
+  const owner = async text => {
+    bot.sock.clear();
+    await handler(bot.sock, conversation(OWNER, text));
+    return bot.sock.to(OWNER)[0].text;
+  };
+
+  assert.match(await owner('!pause'), /paused/);
+  await bot.run([{ say: 'hi', replies: 0 }]);
+  assert.match(await owner('!resume'), /resumed/);
+  await bot.run([{ say: 'hi', replies: 1 }]);
+
+  assert.match(await owner('!block 94771234567 spam'), /blocked/);
+  await bot.run([{ say: 'hi', replies: 0 }]);
+  assert.match(await owner('!unblock 94771234567'), /unblocked/);
+
+  assert.match(await owner('!nonsense'), /Unknown command/);
+});
+
+test('owner and agent numbers may be written the local way', async () => {
+  bot.cleanup();
+  bot = setupBot({ AGENT_NUMBER: '077 000 0000', OWNER_NUMBERS: '0711111111' });
+
+  await handler(bot.sock, conversation(OWNER, '!pause'));
+  assert.match(bot.sock.to(OWNER)[0].text, /paused/);
+  await handler(bot.sock, conversation(OWNER, '!resume'));
+
+  await bot.run([{ say: 'hi' }, { say: '1' }, { say: 'agent', reply: 'Connecting you' }]);
+  assert.match(bot.sock.to(AGENT)[0].text, /New handoff #1/);
+});
+
+test('customers cannot run admin commands', async () => {
+  await bot.run([{ say: 'hi' }, { say: '1' }, { say: '!pause', reply: 'Welcome to NovoNex' }]);
+});
@@ -0,0 +1,105 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { setupBot, quiet } from './kit.js';
+import { isOpen, nextOpening, validateSchedule, scheduleFile } from '../src/hours.js';
+import { readLeads } from '../src/leads.js';
+import { releaseDueLeads, listQueuedLeads } from '../src/leadQueue.js';
+import { resetConfig } from '../src/config.js';
+
+const OWNER = '94711111111@s.whatsapp.net';
+const SHIPPED = scheduleFile();
+
+// Times below are UTC; Colombo is 5:30 ahead
+const SUNDAY_EVENING = new Date('2026-10-18T14:00:00Z');
+const MONDAY_NOON = new Date('2026-10-19T06:30:00Z');
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot({ SCHEDULE_FILE: SHIPPED, OWNER_NUMBERS: '94711111111' });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+  bot.cleanup();
+  restore();
+});
+
+function setNow(date) {
+  mock.timers.reset();
+  mock.timers.enable({ apis: ['Date'], now: date });
+}
+
+test('the shipped schedule is valid', () => {
+  assert.deepEqual(validateSchedule(JSON.parse(fs.readFileSync(SHIPPED, 'utf8'))), []);
+  assert.deepEqual(validateSchedule({ timezone: 'Mars/Base', companies: { software: { hours: { mon: ['18:00-09:00'], fun: [] } } } }), [
+    'timezone must be an IANA time zone, e.g. "Asia/Colombo"',
+    'companies.software.hours.mon must be a list like ["09:00-18:00"]',
+    'companies.software.hours.fun is not a day (use sun, mon, tue, wed, thu, fri, sat)'
+  ]);
+});
+
+test('opening hours follow the company, the time zone and holidays', () => {
+  assert.equal(isOpen('software', MONDAY_NOON), true);
+  assert.equal(isOpen('software', SUNDAY_EVENING), false);
+  // 09:00 in Colombo
+  assert.equal(nextOpening('software', SUNDAY_EVENING).toISOString(), '2026-10-19T03:30:00.000Z');
+  assert.equal(nextOpening('digital', SUNDAY_EVENING).toISOString(), '2026-10-19T04:30:00.000Z');
+  // Saturday afternoon: Digital Works is still open, Software closed at 13:00
+  const saturday = new Date('2026-10-17T08:00:00Z');
+  assert.equal(isOpen('digital', saturday), true);
+  assert.equal(isOpen('software', saturday), false);
+  // New Year holidays on the 13th and 14th of April
+  assert.equal(nextOpening('software', new Date('2026-04-12T14:00:00Z')).toISOString(), '2026-04-15T03:30:00.000Z');
+  // Categories without hours never close
+  assert.equal(isOpen('unknown', SUNDAY_EVENING), true);
+});
+
+test('service details and contact info mention when we open again', async () => {
+  setNow(SUNDAY_EVENING);
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'service3', reply: /closed right now[\s\S]*Monday 19 October at 9:00 am/ },
+    { tap: 'contact_info', reply: /Closed now, opens Monday 19 October at 10:00 am/ }
+  ]);
+
+  setNow(MONDAY_NOON);
+  await bot.run([{ tap: 'service3', reply: /^(?![\s\S]*closed)/ }]);
+});
+
+test('leads captured while closed are queued until the next opening', async () => {
+  setNow(SUNDAY_EVENING);
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'service3' },
+    { tap: 'quote_service3' },
+    { say: 'Kamal Perera' },
+    { say: 'none' },
+    { say: '2' },
+    { say: '4' },
+    { say: 'Online shop for my bakery with delivery' },
+    { tap: 'quote_submit', reply: /request is queued[\s\S]*Monday 19 October at 9:00 am/ }
+  ]);
+
+  const [lead] = readLeads();
+  assert.equal(lead.followUpAt, '2026-10-19T03:30:00.000Z');
+  assert.equal(await releaseDueLeads(bot.sock), 0);
+
+  // Without an agent or owners to remind, due leads stay queued
+  process.env.OWNER_NUMBERS = '';
+  resetConfig();
+  assert.equal(await releaseDueLeads(bot.sock, Date.parse(lead.followUpAt)), 0);
+  assert.equal((await listQueuedLeads()).length, 1);
+
+  process.env.OWNER_NUMBERS = '94711111111';
+  resetConfig();
+  bot.sock.clear();
+  assert.equal(await releaseDueLeads(bot.sock, Date.parse(lead.followUpAt)), 1);
+  assert.match(bot.sock.to(OWNER)[0].text, new RegExp(`${lead.reference}[\\s\\S]*Kamal Perera`));
+  assert.deepEqual(await listQueuedLeads(), []);
+});
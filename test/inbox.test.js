@@ -0,0 +1,130 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setupBot, quiet, conversation, mediaMessage, CUSTOMER } from './kit.js';
+import { handler } from '../src/handler.js';
+import { mediaOf, readInbox, setMediaDownloader } from '../src/inbox.js';
+import { openHandoff } from '../src/handoff.js';
+import { readLeads } from '../src/leads.js';
+
+const OWNER = '94711111111@s.whatsapp.net';
+const AGENT = '94719999999@s.whatsapp.net';
+
+const PHOTO = { imageMessage: { mimetype: 'image/jpeg', fileLength: '2048', caption: 'Our current shop front' } };
+const VOICE = { audioMessage: { mimetype: 'audio/ogg; codecs=opus', fileLength: 9000, ptt: true } };
+const BRIEF = {
+  documentWithCaptionMessage: {
+    message: { documentMessage: { mimetype: 'application/pdf', fileLength: 4096, fileName: 'Requirements v2.pdf', caption: 'Our brief' } }
+  }
+};
+const SHOP = { locationMessage: { degreesLatitude: 6.9271, degreesLongitude: 79.8612, name: 'Bakery', address: 'Galle Road, Colombo' } };
+
+let bot;
+let restore;
+let downloads;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot({ OWNER_NUMBERS: '94711111111', INBOX_MAX_MB: '1' });
+  downloads = 0;
+  setMediaDownloader(async () => {
+    downloads++;
+    return Buffer.from('file contents');
+  });
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+async function send(content) {
+  bot.sock.clear();
+  await handler(bot.sock, mediaMessage(CUSTOMER, content));
+  return bot.sock.to(CUSTOMER).map(message => message.text);
+}
+
+test('media, voice notes, locations and contact cards are recognised', () => {
+  assert.equal(mediaOf(PHOTO).type, 'image');
+  assert.deepEqual(mediaOf(VOICE), { type: 'voice', mimetype: 'audio/ogg', size: 9000, caption: null, fileName: null });
+  assert.equal(mediaOf({ audioMessage: { mimetype: 'audio/mpeg' } }).type, 'audio');
+  assert.equal(mediaOf(BRIEF).fileName, 'Requirements v2.pdf');
+  assert.deepEqual(mediaOf(SHOP).location, { latitude: 6.9271, longitude: 79.8612, name: 'Bakery', address: 'Galle Road, Colombo' });
+  assert.equal(mediaOf({ contactsArrayMessage: { contacts: [{ displayName: 'A' }, { displayName: 'B' }] } }).contacts.length, 2);
+  assert.equal(mediaOf({ stickerMessage: { mimetype: 'image/webp' } }), null);
+  assert.equal(mediaOf({ conversation: 'hi' }), null);
+});
+
+test('a new contact\'s photo is saved and acknowledged before the first menu', async () => {
+  const replies = await send(PHOTO);
+  assert.match(replies[0], /received your image/);
+  assert.match(replies[1], /Please choose your language/);
+
+  const [item] = readInbox(CUSTOMER);
+  assert.equal(item.caption, 'Our current shop front');
+  assert.equal(item.size, 13);
+  assert.match(item.file, /\.jpg$/);
+  assert.equal(fs.readFileSync(path.join(bot.dir, 'inbox', '94771234567', item.file), 'utf8'), 'file contents');
+
+  // Later on it is only acknowledged and the conversation stays where it was
+  await handler(bot.sock, conversation(CUSTOMER, 'lang_en'));
+  assert.deepEqual(await send(SHOP), ['📍 Thanks, we\'ve saved your location.']);
+  assert.equal((await bot.state.get(CUSTOMER)).step, 'menu.welcome');
+});
+
+test('a hostile message id can\'t place files outside the contact\'s inbox', async () => {
+  await handler(bot.sock, conversation(CUSTOMER, 'hi'));
+  await handler(bot.sock, mediaMessage(CUSTOMER, BRIEF, { id: '../../../evil/x' }));
+
+  const [item] = readInbox(CUSTOMER);
+  assert.match(item.id, /^\d+-evilx$/);
+  assert.deepEqual(fs.readdirSync(path.join(bot.dir, 'inbox', '94771234567')).sort(), [`${item.id}.pdf`, 'index.jsonl']);
+  assert.deepEqual(fs.readdirSync(bot.dir).filter(name => name === 'evil'), []);
+});
+
+test('files over the size limit or of unknown types are refused without downloading', async () => {
+  await handler(bot.sock, conversation(CUSTOMER, 'hi'));
+
+  assert.match((await send({ videoMessage: { mimetype: 'video/mp4', fileLength: 5 * 1024 * 1024 } }))[0], /up to 1 MB/);
+  assert.match((await send({ documentMessage: { mimetype: 'application/zip', fileName: 'site.zip' } }))[0], /can't accept this type/);
+  assert.equal(downloads, 0);
+
+  // Without fileLength the size is only known after the download
+  setMediaDownloader(async () => Buffer.alloc(2 * 1024 * 1024));
+  assert.match((await send(BRIEF))[0], /up to 1 MB/);
+  setMediaDownloader(async () => { throw new Error('media expired'); });
+  assert.match((await send(VOICE))[0], /couldn't receive that file/);
+  assert.deepEqual(readInbox(CUSTOMER), []);
+});
+
+test('items go with the quote form in progress, then with the open lead', async () => {
+  await bot.run([{ say: 'hi' }, { say: '1' }, { tap: 'service3' }, { tap: 'quote_service3' }, { say: 'Kamal Perera' }]);
+
+  const replies = await send(BRIEF);
+  assert.match(replies.join('\n'), /received your document\.\n.*sent with your quote request/);
+  assert.equal((await bot.state.get(CUSTOMER)).step, 'quote.company');
+
+  await bot.run([{ say: 'none' }, { say: '2' }, { say: '4' }, { say: 'Online shop for my bakery with delivery' }, { tap: 'quote_submit' }]);
+  const [lead] = readLeads();
+  assert.deepEqual(lead.attachments, [readInbox(CUSTOMER)[0].id]);
+
+  assert.match((await send(SHOP)).join('\n'), new RegExp(`added it to your quote request \\*${lead.reference}\\*`));
+  assert.equal(readInbox(CUSTOMER)[1].lead, lead.reference);
+
+  bot.sock.clear();
+  await handler(bot.sock, conversation(OWNER, '!leads'));
+  assert.match(bot.sock.to(OWNER)[0].text, /📎 2 attachment\(s\)/);
+});
+
+test('during a handoff the agent is told what arrived', async () => {
+  bot.cleanup();
+  bot = setupBot({ AGENT_NUMBER: '94719999999' });
+  await handler(bot.sock, conversation(CUSTOMER, 'hi'));
+  await openHandoff(bot.sock, CUSTOMER);
+
+  bot.sock.clear();
+  await handler(bot.sock, mediaMessage(CUSTOMER, BRIEF));
+  assert.match(bot.sock.to(AGENT)[0].text, /📎 document Requirements v2\.pdf \(1 KB\): Our brief/);
+  assert.deepEqual(bot.sock.to(CUSTOMER), []);
+});
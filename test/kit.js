@@ -0,0 +1,206 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { resetConfig } from '../src/config.js';
+import { createStore } from '../src/store/index.js';
+import { setStateStore } from '../src/userState.js';
+import { setHandoffStore } from '../src/handoff.js';
+import { setControlsStore } from '../src/controls.js';
+import { handler } from '../src/handler.js';
+import { resetRateLimits } from '../src/rateLimit.js';
+import { resetSchedule } from '../src/hours.js';
+import { resetLogging } from '../src/logger.js';
+import { setLeadQueueStore } from '../src/leadQueue.js';
+import { setGroupStore } from '../src/groups.js';
+import { setBookingStore } from '../src/bookings.js';
+
+// Offline test kit: a fake socket, builders for inbound messages and a runner for
+// scripted conversations. Nothing here touches WhatsApp or the real storage/ folder.
+
+export const CUSTOMER = '94771234567@s.whatsapp.net';
+// The linked account, as it appears in mentions
+export const BOT = '94700000001@s.whatsapp.net';
+
+// Message IDs in the shape each client uses (see deviceOf in src/render.js)
+const DEVICE_IDS = {
+  android: () => randomId(32),
+  ios: () => `3A${randomId(18)}`,
+  web: () => `3EB0${randomId(18)}`
+};
+
+function randomId(length) {
+  let id = '';
+  while (id.length < length) id += Math.random().toString(16).slice(2).toUpperCase();
+  return id.slice(0, length);
+}
+
+// Records every sendMessage call instead of sending it
+export function createFakeSock() {
+  const sent = [];
+  return {
+    sent,
+    user: { id: '94700000001:7@s.whatsapp.net', name: 'NovoNex Bot' },
+    async sendMessage(jid, content) {
+      sent.push({ jid, content });
+      return { key: { remoteJid: jid, id: randomId(20), fromMe: true }, message: content };
+    },
+    // Messages sent to `jid` since the last clear()
+    to(jid) {
+      return sent.filter(message => message.jid === jid).map(message => message.content);
+    },
+    clear() {
+      sent.length = 0;
+    }
+  };
+}
+
+// Inbound message builders, shaped like Baileys' messages.upsert entries
+
+function inbound(from, message, { device = 'android', id = DEVICE_IDS[device](), fromMe = false } = {}) {
+  return { key: { remoteJid: from, id, fromMe }, message, messageTimestamp: Math.floor(Date.now() / 1000) };
+}
+
+export function conversation(from, text, options) {
+  return inbound(from, { conversation: text }, options);
+}
+
+export function extendedText(from, text, { quoted, ...options } = {}) {
+  const contextInfo = quoted ? { quotedMessage: { conversation: quoted } } : undefined;
+  return inbound(from, { extendedTextMessage: { text, contextInfo } }, options);
+}
+
+// A text in a group from `participant`, optionally @mentioning `mentions`
+export function groupText(group, participant, text, { mentions = [], ...options } = {}) {
+  const message = inbound(group, { extendedTextMessage: { text, contextInfo: { mentionedJid: mentions } } }, options);
+  message.key.participant = participant;
+  return message;
+}
+
+// Media, locations and contact cards: `content` is e.g. { imageMessage: {...} }
+export function mediaMessage(from, content, options) {
+  return inbound(from, content, options);
+}
+
+export function buttonResponse(from, buttonId, displayText = buttonId, options) {
+  return inbound(from, {
+    buttonsResponseMessage: { selectedButtonId: buttonId, selectedDisplayText: displayText }
+  }, options);
+}
+
+export function listResponse(from, rowId, title = rowId, options) {
+  return inbound(from, {
+    listResponseMessage: { title, singleSelectReply: { selectedRowId: rowId } }
+  }, options);
+}
+
+// Points every file the bot writes at a temp folder and swaps in memory stores.
+// Call in beforeEach for a clean slate and cleanup() in afterEach.
+export function setupBot(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wabot-test-'));
+  // No business hours by default, so replies don't depend on when the tests run
+  const scheduleFile = path.join(dir, 'schedule.json');
+  fs.writeFileSync(scheduleFile, JSON.stringify({ timezone: 'Asia/Colombo', companies: {} }));
+  Object.assign(process.env, {
+    STATE_BACKEND: 'memory',
+    LEADS_FILE: path.join(dir, 'leads.jsonl'),
+    HANDOFF_FILE: path.join(dir, 'handoffs.json'),
+    CONTROLS_FILE: path.join(dir, 'controls.json'),
+    AUDIT_LOG: path.join(dir, 'audit.log'),
+    GROUPS: '',
+    AGENT_NUMBER: '',
+    OWNER_NUMBERS: '',
+    LANGUAGES: 'en,si,ta',
+    RENDER_MODE: 'buttons',
+    RATE_LIMIT_ENABLED: 'false',
+    SCHEDULE_FILE: scheduleFile,
+    ANALYTICS_FILE: path.join(dir, 'events.jsonl'),
+    SERVICE_CARDS: 'false',
+    INBOX_DIR: path.join(dir, 'inbox'),
+    BOOKINGS_FILE: path.join(dir, 'bookings.json'),
+    ESTIMATES_FILE: path.join(dir, 'estimates.jsonl'),
+    CARD_CACHE_DIR: path.join(dir, 'cards'),
+    LOG_CONSOLE: 'off',
+    LOG_FILE: '',
+    ...env
+  });
+  resetConfig();
+  resetRateLimits();
+  resetSchedule();
+  resetLogging();
+
+  const state = createStore('memory');
+  setStateStore(state);
+  setHandoffStore(createStore('memory'));
+  setControlsStore(createStore('memory'));
+  setLeadQueueStore(createStore('memory'));
+  setGroupStore(createStore('memory'));
+  setBookingStore(createStore('memory'));
+
+  const sock = createFakeSock();
+  return {
+    dir,
+    state,
+    sock,
+    run: (steps, options) => runDialogue(sock, steps, { store: state, ...options }),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+// Keeps test output readable where code still prints to the console
+export function quiet() {
+  const log = console.log;
+  console.log = () => {};
+  return () => {
+    console.log = log;
+  };
+}
+
+// Texts and button/row IDs of one reply, for compact assertions
+export function summarize(content) {
+  const buttons = (content.buttons || []).map(button => button.buttonId);
+  const rows = (content.sections || []).flatMap(section => section.rows.map(row => row.rowId));
+  return { text: content.text || '', ids: [...buttons, ...rows] };
+}
+
+// Sends each step as `jid` and checks the replies and the stored state.
+//   { say: 'hi' } | { tap: 'button_id' } | { pick: 'row_id' } | { message: msg }
+//   reply?:   RegExp or string every reply is joined into, or a list with one per reply
+//   buttons?: IDs that must be offered (buttons or list rows), in order
+//   replies?: expected number of replies
+//   state?:   fields the stored state must have afterwards
+export async function runDialogue(sock, steps, { jid = CUSTOMER, store } = {}) {
+  for (const [index, step] of steps.entries()) {
+    const msg = step.message ||
+      (step.tap !== undefined ? buttonResponse(jid, step.tap)
+        : step.pick !== undefined ? listResponse(jid, step.pick)
+          : conversation(jid, step.say, { device: step.device }));
+    const label = `step ${index + 1} (${step.say ?? step.tap ?? step.pick ?? 'message'})`;
+
+    sock.clear();
+    await handler(sock, msg);
+    const replies = sock.to(jid).map(summarize);
+
+    if (step.replies !== undefined) {
+      assert.equal(replies.length, step.replies, `${label}: number of replies`);
+    }
+    if (step.reply !== undefined) {
+      const expected = Array.isArray(step.reply) ? step.reply : [step.reply];
+      const texts = Array.isArray(step.reply) ? replies.map(r => r.text) : [replies.map(r => r.text).join('\n')];
+      expected.forEach((pattern, n) => {
+        if (pattern instanceof RegExp) assert.match(texts[n] ?? '', pattern, `${label}: reply ${n + 1}`);
+        else assert.ok((texts[n] ?? '').includes(pattern), `${label}: reply ${n + 1} should contain "${pattern}"\n${texts[n]}`);
+      });
+    }
+    if (step.buttons) {
+      const offered = replies.at(-1)?.ids || [];
+      assert.deepEqual(offered.filter(id => step.buttons.includes(id)), step.buttons, `${label}: buttons`);
+    }
+    if (step.state && store) {
+      const saved = await store.get(jid);
+      for (const [key, value] of Object.entries(step.state)) {
+        assert.deepEqual(saved?.[key], value, `${label}: state.${key}`);
+      }
+    }
+  }
+}
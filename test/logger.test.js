@@ -0,0 +1,75 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { maskPhones, formatPretty, createRotatingFile, getLogger, resetLogging } from '../src/logger.js';
+import { resetConfig } from '../src/config.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wabot-log-'));
+
+afterEach(() => {
+  resetLogging();
+});
+
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+
+function useLogging(env) {
+  Object.assign(process.env, { LOG_CONSOLE: 'off', LOG_LEVEL: 'info', LOG_LEVELS: '', LOG_MASK_PHONES: 'true', ...env });
+  resetConfig();
+  resetLogging();
+}
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('phone numbers are masked in JIDs and text, other numbers are left alone', () => {
+  assert.equal(maskPhones('94771234567@s.whatsapp.net'), '9477*****67@s.whatsapp.net');
+  assert.equal(maskPhones('94771234567:12@s.whatsapp.net, 123456789012345@lid'), '9477*****67:12@s.whatsapp.net, 1234*********45@lid');
+  assert.equal(maskPhones('call +94771234567 now'), 'call +9477*****67 now');
+  assert.equal(maskPhones('NX-20261019-4F7K, 1.5 seconds, 2026-10-19'), 'NX-20261019-4F7K, 1.5 seconds, 2026-10-19');
+  // Timestamps, message IDs and sizes in text look like phone numbers, but aren't
+  assert.equal(maskPhones('1760000000123-3EB0123456789 (2097152 bytes)'), '1760000000123-3EB0123456789 (2097152 bytes)');
+});
+
+test('loggers write masked JSON lines and honour per-logger levels', () => {
+  const file = path.join(dir, 'levels.log');
+  useLogging({ LOG_FILE: file, LOG_LEVELS: 'store=debug' });
+
+  getLogger('handler').info({ jid: '94771234567@s.whatsapp.net', phone: '94771234567' }, 'Message 1760000000123 from +94771234567');
+  getLogger('handler').debug('hidden');
+  getLogger('store').debug('shown');
+  getLogger('handler').error({ err: new Error('failed for 94771234567@s.whatsapp.net') }, 'Handler error');
+
+  const [first, second, third] = readLines(file);
+  assert.equal(first.name, 'handler');
+  assert.equal(first.jid, '9477*****67@s.whatsapp.net');
+  assert.equal(first.phone, '9477*****67');
+  assert.equal(first.msg, 'Message 1760000000123 from +9477*****67');
+  assert.equal(second.name, 'store');
+  assert.equal(third.err.message, 'failed for 9477*****67@s.whatsapp.net');
+});
+
+test('masking can be turned off', () => {
+  const file = path.join(dir, 'plain.log');
+  useLogging({ LOG_FILE: file, LOG_MASK_PHONES: 'false' });
+  getLogger('handler').info('Message from 94771234567@s.whatsapp.net');
+  assert.equal(readLines(file)[0].msg, 'Message from 94771234567@s.whatsapp.net');
+});
+
+test('log files rotate by size and keep a fixed number of old files', () => {
+  const file = path.join(dir, 'rotate', 'bot.log');
+  const output = createRotatingFile({ file, maxBytes: 100, maxFiles: 2 });
+  for (let n = 0; n < 10; n++) output.write(`${'x'.repeat(40)} ${n}\n`);
+  output.close();
+
+  assert.deepEqual(fs.readdirSync(path.dirname(file)).sort(), ['bot.log', 'bot.log.1', 'bot.log.2']);
+  assert.match(fs.readFileSync(file, 'utf8'), /x 9\n$/);
+  assert.match(fs.readFileSync(`${file}.2`, 'utf8'), /^x+ 4\n/);
+});
+
+test('the console view is one readable line per record', () => {
+  const line = formatPretty({ level: 30, time: Date.now(), name: 'handler', msg: '💬 Incoming message', jid: '9477*****67@s.whatsapp.net' });
+  assert.match(line, /INFO .*handler .*💬 Incoming message .*"jid":"9477\*\*\*\*\*67@s\.whatsapp\.net"/);
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Jimp } from 'jimp';
+import { setupBot, quiet, CUSTOMER } from './kit.js';
+import { catalogFile, validateCatalog, loadCatalog, getCatalog } from '../src/catalog.js';
+import { serviceCard } from '../src/cards.js';
+
+const raw = () => JSON.parse(fs.readFileSync(catalogFile(), 'utf8'));
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot();
+});
+
+afterEach(() => {
+  loadCatalog(catalogFile());
+  bot.cleanup();
+  restore();
+});
+
+// Loads a changed copy of the shipped catalog from the test directory
+function useCatalog(change) {
+  const data = raw();
+  change(data);
+  const file = path.join(bot.dir, 'catalog.json');
+  fs.writeFileSync(file, JSON.stringify(data));
+  return loadCatalog(file);
+}
+
+test('media must be a known type with a matching extension', () => {
+  const data = raw();
+  data.services.service1.media = { image: 'media/pos.gif', brochure: 'https://example.com/pos.pdf?v=2' };
+  data.services.service2.media = { audio: 'intro.mp3' };
+  data.services.service3.media = 'web.mp4';
+  data.categories[0].color = 'blue';
+
+  assert.deepEqual(validateCatalog(data), [
+    'categories[0].color must be a hex colour like #1e63e9',
+    'services.service1.media.image must be a path or URL to a jpg/jpeg/png/webp file',
+    'services.service2.media.audio is not a media type (expected: image, brochure, video)',
+    'services.service3.media must be an object with image, brochure and/or video'
+  ]);
+});
+
+test('service cards are cached until the catalog text changes', async () => {
+  useCatalog(data => { data.categories[0].color = '#ff6600'; });
+  const first = await serviceCard(getCatalog().services.service1);
+  assert.match(path.basename(first), /^service1-[0-9a-f]{16}\.png$/);
+
+  const image = await Jimp.read(first);
+  assert.equal(image.bitmap.width, 1080);
+  assert.equal(image.getPixelColor(5, 5), 0xff6600ff);
+
+  // Same text, same file, not drawn again
+  const builtAt = fs.statSync(first).mtimeMs;
+  assert.equal(await serviceCard(getCatalog().services.service1), first);
+  assert.equal(fs.statSync(first).mtimeMs, builtAt);
+
+  useCatalog(data => { data.services.service1.highlights.push('Cloud Hosting'); });
+  const [second] = await Promise.all([1, 2].map(() => serviceCard(getCatalog().services.service1)));
+  assert.notEqual(second, first);
+  assert.deepEqual(fs.readdirSync(path.dirname(first)), [path.basename(second)]);
+});
+
+test('configured media is sent before the service details', async () => {
+  fs.mkdirSync(path.join(bot.dir, 'media'));
+  fs.writeFileSync(path.join(bot.dir, 'media', 'pos.jpg'), 'jpeg');
+  useCatalog(data => {
+    data.services.service1.media = { image: 'media/pos.jpg', video: 'media/missing.mp4', brochure: 'https://example.com/pos.pdf' };
+  });
+
+  await bot.run([{ say: 'hi' }, { tap: 'lang_en' }, { say: 'service1', state: { service: 'service1' } }]);
+  const [image, brochure, details] = bot.sock.to(CUSTOMER);
+  assert.deepEqual(image, { image: { url: path.join(bot.dir, 'media', 'pos.jpg') }, caption: '*Custom Software Development*' });
+  assert.deepEqual(brochure, { document: { url: 'https://example.com/pos.pdf' }, mimetype: 'application/pdf', fileName: 'Custom Software Development.pdf' });
+  assert.match(details.text, /Business Management Systems/);
+  assert.equal(bot.sock.to(CUSTOMER).length, 3);
+});
@@ -0,0 +1,118 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import { setupBot, quiet, CUSTOMER } from './kit.js';
+import { catalogFile, loadCatalog } from '../src/catalog.js';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot();
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+test('first message asks for the language, then shows the welcome menu', async () => {
+  await bot.run([
+    { say: 'hi', reply: 'Please choose your language', buttons: ['lang_en', 'lang_si', 'lang_ta'], state: { step: 'language.pick' } },
+    { tap: 'lang_en', replies: 2, reply: ['Language set to English', 'Welcome to NovoNex'], state: { step: 'menu.welcome', lang: 'en' } }
+  ]);
+});
+
+test('categories page through their services', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'category_software', reply: 'Page 1/3', buttons: ['next_page', 'back_to_welcome'], state: { company: 'software', page: 1 } },
+    { tap: 'next_page', reply: '5️⃣ Mobile Application Development', buttons: ['prev_page', 'next_page'], state: { page: 2 } },
+    { tap: 'next_page', reply: 'Page 3/3', state: { page: 3 } },
+    // Past the last page stays on the last page
+    { tap: 'next_page', reply: 'Page 3/3', state: { page: 3 } },
+    { tap: 'prev_page', reply: 'Page 2/3', state: { page: 2 } }
+  ]);
+});
+
+test('typed numbers pick a category on the welcome menu and a service inside a category', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { say: '2', reply: 'NovoNex Digital Works', state: { step: 'menu.category', company: 'digital' } },
+    // "2" inside a category is the second service, not the second category
+    { say: '2', reply: 'Social Media Marketing (SMM)', state: { step: 'menu.service', service: 'service14' } }
+  ]);
+});
+
+test('an old welcome button still opens its category from inside another one', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'category_digital', state: { company: 'digital' } },
+    { tap: 'category_software', reply: 'NovoNex Software Solutions', state: { company: 'software', page: 1 } }
+  ]);
+});
+
+test('service details offer a quote and lead back to the menu', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'service3', reply: 'Website Development', buttons: ['estimate_service3', 'quote_service3', 'back_to_welcome'] },
+    { tap: 'service4', reply: 'E-Commerce Solutions', buttons: ['quote_service4', 'back_to_welcome', 'contact_info'] },
+    { tap: 'contact_info', reply: 'Contact Information' },
+    { tap: 'back_to_welcome', reply: 'Welcome to NovoNex', state: { step: 'menu.welcome', company: null, service: null } }
+  ]);
+});
+
+test('services with any catalog key can be opened and quoted', async () => {
+  const file = path.join(bot.dir, 'catalog.json');
+  fs.writeFileSync(file, fs.readFileSync(catalogFile(), 'utf8').replaceAll('"service4"', '"seo-audit"'));
+  loadCatalog(file);
+  try {
+    await bot.run([
+      { say: 'hi' },
+      { say: '1' },
+      { tap: 'seo-audit', reply: 'E-Commerce Solutions', buttons: ['quote_seo-audit', 'back_to_welcome', 'contact_info'], state: { service: 'seo-audit' } },
+      { tap: 'quote_seo-audit', state: { step: 'quote.name' } },
+      { say: 'cancel' },
+      // A button for a service that is not in the catalog is not taken for one
+      { tap: 'quote_seo', state: { step: 'menu.suggestions' } }
+    ]);
+  } finally {
+    loadCatalog(catalogFile());
+  }
+});
+
+test('free text is matched to services', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    // Three matches and Main Menu don't fit as buttons, so the matches are numbered
+    { say: 'I need an online shop', reply: /Here is what I found[\s\S]*1️⃣ E-Commerce Solutions/, buttons: ['back_to_welcome'], state: { step: 'menu.suggestions' } },
+    { say: '1', reply: 'E-Commerce Solutions', state: { service: 'service4' } },
+    { say: 'how much for a logo', reply: 'Did you mean one of these', buttons: ['service12', 'service19'] },
+    { say: 'zzzz', reply: 'Welcome to NovoNex', state: { step: 'menu.welcome' } }
+  ]);
+});
+
+test('the language can be changed at any time', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { say: 'lang', state: { step: 'language.pick' } },
+    { say: '2', reply: ['සිංහල', 'NovoNex වෙත සාදරයෙන් පිළිගනිමු'], state: { lang: 'si', step: 'menu.welcome' } }
+  ]);
+});
+
+test('idle conversations start over, keeping the language', async () => {
+  await bot.run([{ say: 'hi' }, { say: '3' }]);
+  const saved = await bot.state.get(CUSTOMER);
+  await bot.state.set(CUSTOMER, { ...saved, step: 'menu.service', lastSeen: Date.now() - 31 * 60 * 1000 });
+
+  await bot.run([
+    { say: 'hello', replies: 2, reply: ['மீண்டும் வருக', 'NovoNex க்கு வரவேற்கிறோம்'], state: { step: 'menu.welcome', lang: 'ta' } }
+  ]);
+});
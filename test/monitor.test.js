@@ -0,0 +1,67 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBot, quiet } from './kit.js';
+import { startMonitor } from '../src/monitor.js';
+import { increment, setConnectionState, messageReceived, countSends, resetMetrics } from '../src/metrics.js';
+
+let bot;
+let restore;
+let server;
+let base;
+
+beforeEach(async () => {
+  restore = quiet();
+  bot = setupBot();
+  resetMetrics();
+  server = await startMonitor({ port: 0, host: '127.0.0.1' });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await new Promise(resolve => server.close(resolve));
+  bot.cleanup();
+  restore();
+});
+
+test('health reports the connection state and fails until connected', async () => {
+  setConnectionState('pairing');
+  let response = await fetch(`${base}/health`);
+  assert.equal(response.status, 503);
+  assert.equal((await response.json()).connection, 'pairing');
+
+  setConnectionState('open');
+  messageReceived();
+  response = await fetch(`${base}/health`);
+  const health = await response.json();
+  assert.equal(response.status, 200);
+  assert.equal(health.status, 'ok');
+  assert.ok(health.uptimeSeconds >= 0);
+  assert.ok(Date.now() - Date.parse(health.lastMessageAt) < 5000);
+});
+
+test('metrics count messages, errors, reconnects and active conversations', async () => {
+  const sock = countSends(bot.sock);
+  await bot.run([{ say: 'hi' }, { say: '1' }]);
+  await sock.sendMessage('94771234567@s.whatsapp.net', { text: 'hello' });
+  messageReceived();
+  increment('handler_errors_total');
+  increment('reconnects_total');
+  increment('reconnects_total');
+  setConnectionState('reconnecting');
+
+  const response = await fetch(`${base}/metrics`);
+  assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  const text = await response.text();
+  assert.match(text, /# TYPE wabot_messages_received_total counter\nwabot_messages_received_total 1\n/);
+  assert.match(text, /wabot_messages_sent_total\{result="ok"\} 1\n/);
+  assert.match(text, /wabot_handler_errors_total 1\n/);
+  assert.match(text, /wabot_reconnects_total 2\n/);
+  assert.match(text, /wabot_active_conversations 1\n/);
+  assert.match(text, /wabot_connected 0\n/);
+  assert.match(text, /wabot_connection_state\{state="reconnecting"\} 1\n/);
+});
+
+test('unknown paths and methods are refused', async () => {
+  assert.equal((await fetch(`${base}/nope`)).status, 404);
+  assert.equal((await fetch(`${base}/health`, { method: 'POST' })).status, 405);
+});
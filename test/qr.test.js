@@ -0,0 +1,71 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Jimp } from 'jimp';
+import { setupBot } from './kit.js';
+import { writeQrPng, createQrLogin } from '../src/qr.js';
+import { parseCli, applySettings } from '../src/cli.js';
+import { getConfig } from '../src/config.js';
+
+const QR = '2@kS1V4ZtS8Sg9Zq3pXbQ2mX5eR0rJcT7nLwYdHu1fKo==,Q2pMbU1hZXk=,aGVsbG8gd29ybGQ=,c2VjcmV0';
+
+let bot;
+
+beforeEach(() => {
+  bot = setupBot();
+});
+
+afterEach(() => {
+  delete process.env.LOGIN_MODE;
+  bot.cleanup();
+});
+
+// Collects what would have gone to the terminal
+function fakeOutput(isTTY = false) {
+  const output = { isTTY, text: '' };
+  output.write = chunk => { output.text += chunk; };
+  return output;
+}
+
+test('the QR code is saved as a private PNG with a quiet zone', async () => {
+  const file = path.join(bot.dir, 'qr', 'login.png');
+  await writeQrPng(QR, file, { scale: 4, margin: 4 });
+
+  const image = await Jimp.read(file);
+  assert.equal(image.bitmap.width, image.bitmap.height);
+  // Quiet zone is white, the top-left finder pattern starts right after it
+  assert.equal(image.getPixelColor(0, 0), 0xffffffff);
+  assert.equal(image.getPixelColor(16, 16), 0x000000ff);
+  assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+});
+
+test('each QR is drawn with a countdown and the PNG is removed when linked', async () => {
+  const file = path.join(bot.dir, 'qr.png');
+  const output = fakeOutput();
+  const qrLogin = createQrLogin({ file, output });
+
+  await qrLogin.show(QR);
+  assert.match(output.text, /Scan this QR code with WhatsApp \(1\)/);
+  assert.match(output.text, /refreshes in 60s/);
+  assert.ok(output.text.includes('▄'));
+  assert.ok(fs.existsSync(file));
+
+  output.text = '';
+  await qrLogin.show(`${QR}x`);
+  assert.match(output.text, /\(2\)/);
+  assert.match(output.text, /refreshes in 20s/);
+  assert.equal(qrLogin.shown, 2);
+
+  qrLogin.stop();
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('--qr switches the login mode, pairing codes stay the default', () => {
+  delete process.env.LOGIN_MODE;
+  applySettings(parseCli(['start']).flags);
+  assert.equal(getConfig().whatsapp.login, 'code');
+
+  applySettings(parseCli(['pair', '--qr']).flags);
+  assert.equal(getConfig().whatsapp.login, 'qr');
+});
@@ -0,0 +1,83 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBot, quiet, conversation, buttonResponse, CUSTOMER } from './kit.js';
+import { createMessageQueue, isLiveUpsert } from '../src/queue.js';
+import { handler } from '../src/handler.js';
+
+const OTHER = '94779999999@s.whatsapp.net';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot();
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+test('quick taps from one contact are handled in order', async () => {
+  const queue = createMessageQueue(msg => handler(bot.sock, msg));
+  // Pushed without waiting, like a burst inside one upsert
+  queue.push(conversation(CUSTOMER, 'hi'));
+  queue.push(buttonResponse(CUSTOMER, 'lang_en'));
+  queue.push(buttonResponse(CUSTOMER, 'category_digital'));
+  await queue.drain();
+
+  const state = await bot.state.get(CUSTOMER);
+  assert.equal(state.step, 'menu.category');
+  assert.equal(state.company, 'digital');
+  assert.equal(queue.pending, 0);
+});
+
+test('contacts do not wait for each other', async () => {
+  const order = [];
+  let release;
+  const blocked = new Promise(resolve => { release = resolve; });
+  const queue = createMessageQueue(async msg => {
+    if (msg.message.conversation === 'slow') await blocked;
+    order.push(msg.message.conversation);
+  });
+
+  queue.push(conversation(CUSTOMER, 'slow'));
+  queue.push(conversation(CUSTOMER, 'after slow'));
+  await queue.push(conversation(OTHER, 'fast'));
+  assert.deepEqual(order, ['fast']);
+
+  release();
+  await queue.drain();
+  assert.deepEqual(order, ['fast', 'slow', 'after slow']);
+});
+
+test('redelivered message IDs are handled once', async () => {
+  const queue = createMessageQueue(msg => handler(bot.sock, msg));
+  const msg = conversation(CUSTOMER, 'hi', { id: 'ABC123' });
+
+  assert.equal(await queue.push(msg), true);
+  assert.equal(await queue.push({ ...msg }), false);
+  assert.equal(bot.sock.to(CUSTOMER).length, 1);
+});
+
+test('a failing message is reported and the next one still runs', async () => {
+  const errors = [];
+  const handled = [];
+  const queue = createMessageQueue(async msg => {
+    if (msg.message.conversation === 'boom') throw new Error('store offline');
+    handled.push(msg.message.conversation);
+  }, { onError: (error, msg) => errors.push([error.message, msg.message.conversation]) });
+
+  queue.push(conversation(CUSTOMER, 'boom'));
+  queue.push(conversation(CUSTOMER, 'hello'));
+  await queue.drain();
+
+  assert.deepEqual(errors, [['store offline', 'boom']]);
+  assert.deepEqual(handled, ['hello']);
+});
+
+test('only live upserts are answered', () => {
+  assert.equal(isLiveUpsert({ type: 'notify', messages: [] }), true);
+  assert.equal(isLiveUpsert({ type: 'append', messages: [] }), false);
+});
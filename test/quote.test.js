@@ -0,0 +1,68 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBot, quiet, CUSTOMER } from './kit.js';
+import { readLeads } from '../src/leads.js';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot();
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+const openQuote = [
+  { say: 'hi' },
+  { say: '1' },
+  { tap: 'service3' },
+  { tap: 'quote_service3', reply: '(1/5)', buttons: ['quote_cancel'], state: { step: 'quote.name' } }
+];
+
+test('a completed quote form saves an English lead and returns to the service', async () => {
+  await bot.run([
+    ...openQuote,
+    { say: 'Kamal Perera', reply: '(2/5)', state: { step: 'quote.company' } },
+    { say: 'none', reply: 'budget range' },
+    { say: '9', reply: 'number from 1 to 5', state: { step: 'quote.budget' } },
+    { say: '2', reply: 'When do you need it' },
+    { say: '4', reply: 'describe your project' },
+    { say: 'too short', reply: 'at least 15' },
+    { say: 'Online shop for my bakery with delivery', reply: 'Individual', buttons: ['quote_submit'], state: { step: 'quote.confirm' } },
+    { tap: 'quote_submit', reply: 'Thank you, Kamal Perera!', state: { step: 'menu.service', service: 'service3', form: null } }
+  ]);
+
+  const [lead] = readLeads();
+  assert.equal(lead.serviceId, 'service3');
+  assert.equal(lead.service, 'Website Development');
+  assert.equal(lead.company, 'Individual');
+  assert.equal(lead.budget, 'LKR 50,000 – 150,000');
+  assert.equal(lead.timeline, 'Flexible');
+  assert.match(lead.reference, /^NX-\d{8}-[0-9A-F]{4}$/);
+});
+
+test('back revisits the previous question and cancel leaves without a lead', async () => {
+  await bot.run([
+    ...openQuote,
+    { say: 'Kamal', state: { step: 'quote.company' } },
+    { tap: 'quote_back', reply: 'What is your *name*', state: { step: 'quote.name' } },
+    { say: 'cancel', replies: 2, reply: ['cancelled', 'Website Development'], state: { step: 'menu.service', form: null } }
+  ]);
+
+  assert.deepEqual(readLeads(), []);
+});
+
+test('menu commands are read as answers while the form is open', async () => {
+  await bot.run([
+    ...openQuote,
+    { say: 'lang', reply: 'company', state: { step: 'quote.company' } },
+    { say: 'menu', reply: 'budget range', state: { step: 'quote.budget' } }
+  ]);
+
+  const saved = await bot.state.get(CUSTOMER);
+  assert.deepEqual(saved.form.answers, { name: 'lang', company: 'menu' });
+});
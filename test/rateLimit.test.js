@@ -0,0 +1,77 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBot, quiet, CUSTOMER } from './kit.js';
+import { createTokenBucket, limitSends } from '../src/rateLimit.js';
+import { isBlocked } from '../src/controls.js';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot({
+    RATE_LIMIT_ENABLED: 'true',
+    RATE_LIMIT_CONTACT_BURST: '3',
+    RATE_LIMIT_CONTACT_PER_MINUTE: '1',
+    RATE_LIMIT_BLOCK_AFTER: '4',
+    SEND_LIMIT_CONTACT_BURST: '2',
+    SEND_LIMIT_CONTACT_PER_MINUTE: '600'
+  });
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+test('token buckets allow a burst and refill over time', () => {
+  let now = 0;
+  const bucket = createTokenBucket({ burst: 2, perMinute: 60 }, () => now);
+
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+  assert.equal(bucket.waitTime(), 1000);
+
+  now = 1000;
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), false);
+});
+
+test('a refill rate of 0 lifts the limit instead of stalling sends', async () => {
+  const bucket = createTokenBucket({ burst: 1, perMinute: 0 });
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.take(), true);
+  assert.equal(bucket.waitTime(), 0);
+
+  bot.cleanup();
+  bot = setupBot({ RATE_LIMIT_ENABLED: 'true', SEND_LIMIT_CONTACT_BURST: '1', SEND_LIMIT_CONTACT_PER_MINUTE: '0' });
+  const sock = limitSends(bot.sock);
+  await Promise.all([1, 2, 3].map(n => sock.sendMessage(CUSTOMER, { text: `reply ${n}` })));
+  assert.equal(bot.sock.to(CUSTOMER).length, 3);
+});
+
+test('a flooding contact is told to slow down once, then blocked for a while', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { say: 'menu' },
+    { say: 'menu', reply: 'Please slow down' },
+    // One notice per cooldown
+    { say: 'menu', replies: 0 },
+    { say: 'menu', replies: 0 },
+    { say: 'menu', reply: 'next 60 minutes' }
+  ]);
+  assert.equal(await isBlocked(CUSTOMER), true);
+  await bot.run([{ say: 'menu', replies: 0 }]);
+});
+
+test('sends over the limit wait instead of being dropped', async () => {
+  const sock = limitSends(bot.sock);
+  const started = Date.now();
+  await Promise.all([1, 2, 3].map(n => sock.sendMessage(CUSTOMER, { text: `reply ${n}` })));
+
+  assert.equal(bot.sock.to(CUSTOMER).length, 3);
+  // The third reply waits for a token (one every 100ms)
+  assert.ok(Date.now() - started >= 90);
+});
@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupBot, quiet, conversation, CUSTOMER } from './kit.js';
+import { renderMenu, detectClient } from '../src/render.js';
+import { handler } from '../src/handler.js';
+import { resetConfig } from '../src/config.js';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot();
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+function useMode(mode) {
+  process.env.RENDER_MODE = mode;
+  resetConfig();
+}
+
+function fakeCtx(state = {}) {
+  const ctx = {
+    state: { lang: 'en', page: 1, ...state },
+    t: key => key,
+    update: patch => {
+      ctx.state = { ...ctx.state, ...patch };
+      return ctx.state;
+    }
+  };
+  return ctx;
+}
+
+const pagedMenu = {
+  title: 'Services',
+  text: 'Pick one',
+  sections: [
+    { rows: [1, 2, 3, 4].map(n => ({ id: `s${n}`, title: `Service ${n}`, number: n })) },
+    { rows: [5, 6, 7, 8].map(n => ({ id: `s${n}`, title: `Service ${n}`, number: n })) },
+    { rows: [9, 10, 11, 12].map(n => ({ id: `s${n}`, title: `Service ${n}`, number: n })) }
+  ],
+  paged: true,
+  actions: [{ id: 'home', title: 'Home', keyword: 'menu' }]
+};
+
+test('buttons mode shows one page with navigation', () => {
+  const ctx = fakeCtx({ page: 2 });
+  const message = renderMenu(ctx, pagedMenu);
+
+  assert.match(message.text, /\*Services – render\.page\*/);
+  assert.match(message.text, /5️⃣ Service 5/);
+  assert.doesNotMatch(message.text, /Service 9/);
+  assert.deepEqual(message.buttons.map(b => b.buttonId), ['prev_page', 'next_page', 'home']);
+});
+
+test('buttons mode never offers more than three buttons', () => {
+  const actions = [...pagedMenu.actions, { id: 'contact', title: 'Contact', keyword: 'contact' }];
+  const middle = renderMenu(fakeCtx({ page: 2 }), { ...pagedMenu, actions });
+  assert.deepEqual(middle.buttons.map(b => b.buttonId), ['prev_page', 'next_page', 'home']);
+  // The action that didn't fit is typed instead
+  assert.match(middle.text, /render\.typeKeyword$/);
+
+  // Rows only become buttons when they fit next to the actions
+  const few = { sections: [{ rows: [1, 2, 3].map(n => ({ id: `s${n}`, title: `Service ${n}` })) }] };
+  assert.deepEqual(renderMenu(fakeCtx(), few).buttons.map(b => b.buttonId), ['s1', 's2', 's3']);
+  const withHome = renderMenu(fakeCtx(), { ...few, actions: pagedMenu.actions });
+  assert.ok(withHome.buttons.length <= 3);
+  assert.deepEqual(withHome.buttons.map(b => b.buttonId), ['home']);
+  assert.match(withHome.text, /3️⃣ Service 3/);
+});
+
+test('list mode packs pages up to the row limit and keeps actions as rows', () => {
+  useMode('list');
+  const ctx = fakeCtx({ page: 9 });
+  const message = renderMenu(ctx, pagedMenu);
+  const rows = message.sections.flatMap(section => section.rows.map(row => row.rowId));
+
+  assert.equal(ctx.state.page, 2);
+  assert.ok(rows.length <= 10);
+  assert.deepEqual(rows, ['s8', 's9', 's10', 's11', 's12', 'prev_page', 'home']);
+  assert.equal(message.sections[0].rows[0].title, '8. Service 8');
+});
+
+test('text mode lists everything and the typed keywords', () => {
+  useMode('text');
+  const message = renderMenu(fakeCtx(), pagedMenu);
+
+  assert.equal(message.buttons, undefined);
+  assert.match(message.text, /1️⃣2️⃣ Service 12/);
+  assert.match(message.text, /render\.typeKeyword/);
+});
+
+test('clients that cannot show buttons get plain text', async () => {
+  assert.equal(detectClient(conversation(CUSTOMER, 'hi', { device: 'web' })).interactive, false);
+  assert.equal(detectClient(conversation(CUSTOMER, 'hi', { device: 'ios' })).interactive, true);
+
+  await handler(bot.sock, conversation(CUSTOMER, 'hi', { device: 'web' }));
+  await handler(bot.sock, conversation(CUSTOMER, '1', { device: 'web' }));
+  const welcome = bot.sock.to(CUSTOMER).at(-1);
+  assert.equal(welcome.buttons, undefined);
+  assert.match(welcome.text, /Type \*contact\*/);
+});
+
+test('list replies drive the menus like button taps', async () => {
+  useMode('list');
+  await bot.run([
+    { say: 'hi', buttons: ['lang_en'] },
+    { pick: 'lang_en', buttons: ['category_software', 'category_digital', 'contact_info'] },
+    { pick: 'category_digital', buttons: ['service13', 'next_page'], state: { company: 'digital' } },
+    { pick: 'service20', reply: 'Website & Funnel Marketing', state: { service: 'service20' } }
+  ]);
+});
@@ -0,0 +1,106 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { setupBot, quiet, CUSTOMER } from './kit.js';
+import { readEvents } from '../src/analytics.js';
+import { buildReport, formatReport, exportCsv } from '../src/report.js';
+import { getCatalog } from '../src/catalog.js';
+
+const OTHER = '94779999999@s.whatsapp.net';
+
+let bot;
+let restore;
+
+beforeEach(() => {
+  restore = quiet();
+  bot = setupBot();
+});
+
+afterEach(() => {
+  bot.cleanup();
+  restore();
+});
+
+test('menu views, services and leads are recorded without phone numbers', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'category_software' },
+    { tap: 'next_page' },
+    { tap: 'service5' },
+    { tap: 'contact_info' }
+  ]);
+
+  const events = readEvents();
+  assert.deepEqual(events.map(event => event.type), [
+    'menu_view', 'menu_view', 'page_nav', 'menu_view', 'service_view', 'contact_request'
+  ]);
+  assert.deepEqual(events[3], { ...events[3], menu: 'category', category: 'software', page: 2 });
+  assert.equal(new Set(events.map(event => event.session)).size, 1);
+  assert.doesNotMatch(fs.readFileSync(path.join(bot.dir, 'events.jsonl'), 'utf8'), /94771234567/);
+});
+
+test('the report counts views, funnels, active contacts and path length', async () => {
+  await bot.run([
+    { say: 'hi' },
+    { say: '1' },
+    { tap: 'category_software' },
+    { tap: 'service3' },
+    { tap: 'quote_service3' },
+    { say: 'Kamal Perera' },
+    { say: 'none' },
+    { say: '2' },
+    { say: '4' },
+    { say: 'Online shop for my bakery with delivery' },
+    { tap: 'quote_submit' }
+  ]);
+  await bot.run([{ say: 'hi' }, { say: '1' }, { tap: 'service3' }, { tap: 'service4' }], { jid: OTHER });
+
+  // The second contact goes quiet and comes back later
+  const saved = await bot.state.get(OTHER);
+  await bot.state.set(OTHER, { ...saved, lastSeen: Date.now() - 31 * 60 * 1000 });
+  await bot.run([{ say: 'hello' }], { jid: OTHER });
+
+  const report = buildReport(readEvents());
+  const website = report.services.find(s => s.serviceId === 'service3');
+  assert.deepEqual(website, { serviceId: 'service3', title: 'Website Development', views: 2, quotes: 1, leads: 1, viewers: 2 });
+  assert.equal(report.services[0].serviceId, 'service3');
+
+  const software = report.funnels.find(f => f.category === 'software');
+  assert.deepEqual(software, { category: 'software', name: 'NovoNex Software Solutions', menu: 1, service: 2, quote: 1, lead: 1 });
+  // Translated category names are reported in English
+  const catalog = getCatalog();
+  const translated = { ...catalog, categories: catalog.categories.map(c => ({ ...c, name: { en: `${c.name} Ltd`, si: 'NovoNex' } })) };
+  assert.equal(buildReport(readEvents(), { catalog: translated }).funnels[0].name, 'NovoNex Software Solutions Ltd');
+
+  assert.equal(report.daily.length, 1);
+  assert.equal(report.daily[0].contacts, 2);
+  // Sessions still active aren't drop-offs yet
+  assert.deepEqual(report.dropOffs, []);
+  // welcome, category, service, quote form | welcome, service, service | welcome
+  assert.equal(report.sessions, 3);
+  assert.equal(report.averagePath, 8 / 3);
+
+  // Once idle, the sessions without a lead are, whether or not the contact came back
+  const later = buildReport(readEvents(), { now: Date.now() + 31 * 60 * 1000 });
+  assert.deepEqual(later.dropOffs, [{ step: 'menu.service', count: 1 }, { step: 'menu.welcome', count: 1 }]);
+
+  const text = formatReport(report);
+  assert.match(text, /Website Development/);
+  assert.match(text, /Average path: 2\.7 steps over 3 sessions/);
+
+  const files = exportCsv(report, path.join(bot.dir, 'csv'));
+  assert.equal(files.length, 5);
+  const csv = fs.readFileSync(path.join(bot.dir, 'csv', 'services.csv'), 'utf8').split('\n');
+  assert.equal(csv[0], 'serviceId,title,views,quotes,leads,viewers');
+  assert.equal(csv[1], 'service3,Website Development,2,1,1,2');
+  // Tables without rows still get their header
+  assert.equal(fs.readFileSync(path.join(bot.dir, 'csv', 'dropoffs.csv'), 'utf8'), 'step,count\n');
+});
+
+test('an empty event log gives an empty report', () => {
+  const report = buildReport([]);
+  assert.equal(report.events, 0);
+  assert.match(formatReport(report), /No events recorded yet/);
+});
@@ -0,0 +1,28 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { setupBot } from './kit.js';
+import { recordStore } from '../src/store/index.js';
+
+let bot;
+
+beforeEach(() => {
+  // Conversations are kept in memory only
+  bot = setupBot({ STATE_BACKEND: 'memory' });
+});
+
+afterEach(() => {
+  bot.cleanup();
+});
+
+test('records are kept in their file and never evicted, whatever the state backend', async () => {
+  const file = path.join(bot.dir, 'controls.json');
+  const before = recordStore(() => file).get();
+  for (let n = 0; n < 5001; n++) await before.set(`block:${n}`, { n });
+  await before.close();
+
+  // As after a restart
+  const after = recordStore(() => file).get();
+  assert.equal((await after.entries()).length, 5001);
+  assert.deepEqual(await after.get('block:0'), { n: 0 });
+});